@@ -3,6 +3,24 @@
  * Handles context menu creation and image URL capture
  */
 
+importScripts("logger.js", "jobs.js", "settings.js", "verdicts.js", "imagehash.js", "errors.js");
+
+const log = createLogger("background");
+
+const GEMINI_APP_URL = "https://gemini.google.com/app";
+
+// What a notification's buttons (and clicking the notification itself) do
+const NOTIFICATION_ACTIONS = {
+  RETRY: "retry",               // Re-run the check
+  OPEN_GEMINI: "open-gemini"    // Bring up the check's conversation, or Gemini itself
+};
+
+const OPEN_GEMINI_BUTTON = { title: "Open Gemini", action: NOTIFICATION_ACTIONS.OPEN_GEMINI };
+
+// Injected in order to show the image picker; picker.js uses the job helpers.
+// Gemini's content scripts already load some of them (see findLoadedPickerScripts).
+const PICKER_SCRIPTS = ["jobs.js", "verdicts.js", "errors.js", "jobformat.js", "picker.js"];
+
 // Create context menu on extension install
 chrome.runtime.onInstalled.addListener(() => {
   chrome.contextMenus.create({
@@ -11,11 +29,33 @@ chrome.runtime.onInstalled.addListener(() => {
     contexts: ["image"]
   });
   
-  console.log("[Is This Image Real?] Extension installed and context menu created");
+  chrome.contextMenus.create({
+    id: "check-video-frame",
+    title: "IS THIS VIDEO FRAME REAL?",
+    contexts: ["video"]
+  });
+  
+  chrome.contextMenus.create({
+    id: "check-page-images",
+    title: "CHECK IMAGES ON THIS PAGE",
+    contexts: ["page"]
+  });
+  
+  log.info("Extension installed and context menu created");
 });
 
 // Handle context menu click
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (info.menuItemId === "check-video-frame") {
+    await checkVideoFrame(info, tab);
+    return;
+  }
+  
+  if (info.menuItemId === "check-page-images") {
+    await startImagePicker(tab);
+    return;
+  }
+  
   if (info.menuItemId !== "check-image-real") return;
   
   const imageUrl = info.srcUrl;
@@ -26,40 +66,439 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     return;
   }
   
-  // Check if it's a valid web URL (not base64 or local file)
+  // Web URLs are fetched later; data:, blob: and file:// sources are read now
+  let imageDataUrl = null;
+  
   if (!isValidWebUrl(imageUrl)) {
+    if (!isInPageImageUrl(imageUrl)) {
+      showNotification(
+        "Unsupported Image", 
+        "This image type is not supported. Please try an image from a website."
+      );
+      return;
+    }
+    
+    try {
+      imageDataUrl = await readImageFromSourceFrame(tab.id, info.frameId, imageUrl);
+    } catch (error) {
+      log.error("Could not read in-page image:", error);
+    }
+    
+    if (!imageDataUrl) {
+      showNotification(
+        "Unsupported Image",
+        imageUrl.startsWith("file://")
+          ? "Could not read this local file. Enable \"Allow access to file URLs\" for this extension, or upload the image to Gemini manually."
+          : "Could not read this image from the page. Try saving it first, then uploading it to Gemini manually.",
+        { buttons: [OPEN_GEMINI_BUTTON] }
+      );
+      return;
+    }
+  }
+  
+  log.info("Checking image:", imageDataUrl ? imageUrl.slice(0, 64) : imageUrl);
+  
+  await startImageCheck({
+    imageUrl: imageUrl,
+    imageDataUrl: imageDataUrl,
+    pageUrl: info.pageUrl,
+    source: JOB_SOURCES.IMAGE,
+    sourceTabId: tab.id,
+    sourceFrameId: info.frameId,
+    sourceElement: { tagName: "img", srcUrl: imageUrl }
+  });
+});
+
+/**
+ * Grab the frame currently showing in the right-clicked <video> and check it
+ */
+async function checkVideoFrame(info, tab) {
+  let capture = null;
+  
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: tab.id, frameIds: [info.frameId || 0] },
+      func: captureVideoFrameInPage,
+      args: [info.srcUrl || null]
+    });
+    capture = results?.[0]?.result || null;
+  } catch (error) {
+    log.error("Could not capture video frame:", error);
+  }
+  
+  if (!capture || capture.error === "not-found") {
+    showNotification("Error", "Could not find this video on the page. Please try again.");
+    return;
+  }
+  
+  if (capture.error === "not-ready") {
+    showNotification("Video Not Ready", "This video hasn't loaded a frame yet. Play it for a moment, pause on the frame you want, then try again.");
+    return;
+  }
+  
+  if (capture.error === "cross-origin") {
     showNotification(
-      "Unsupported Image", 
-      "This image type is not supported. Please try an image from a website."
+      "Protected Video",
+      "This video is served from another site that doesn't allow its frames to be captured. Try taking a screenshot of the frame and uploading it to Gemini manually.",
+      { buttons: [OPEN_GEMINI_BUTTON] }
     );
     return;
   }
   
-  console.log("[Is This Image Real?] Checking image:", imageUrl);
+  log.debug("Captured video frame at", capture.currentTime, "s");
+  
+  await startImageCheck({
+    imageUrl: info.srcUrl || info.pageUrl,
+    imageDataUrl: capture.dataUrl,
+    fileName: `video-frame-${Math.floor(capture.currentTime)}s.png`,
+    pageUrl: info.pageUrl,
+    source: JOB_SOURCES.VIDEO,
+    sourceTabId: tab.id,
+    sourceFrameId: info.frameId,
+    sourceElement: { tagName: "video", srcUrl: info.srcUrl || null }
+  });
+}
+
+/**
+ * Runs inside the source frame. Must stay self-contained.
+ * Draws the current frame of the matching <video> to a canvas; reading it back
+ * throws a SecurityError when the video is cross-origin without CORS headers.
+ */
+function captureVideoFrameInPage(srcUrl) {
+  const videos = Array.from(document.querySelectorAll("video"));
+  const area = (el) => {
+    const rect = el.getBoundingClientRect();
+    return rect.width * rect.height;
+  };
+  
+  // Streaming players use MediaSource blob URLs, so fall back to the largest loaded video
+  const video = videos.find(el => srcUrl && (el.currentSrc === srcUrl || el.src === srcUrl)) ||
+                videos.filter(el => el.videoWidth > 0).sort((a, b) => area(b) - area(a))[0];
+  
+  if (!video) {
+    return { error: "not-found" };
+  }
+  
+  if (!video.videoWidth || video.readyState < 2) {
+    return { error: "not-ready" };
+  }
+  
+  const canvas = document.createElement("canvas");
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  canvas.getContext("2d").drawImage(video, 0, 0, canvas.width, canvas.height);
   
   try {
-    // Store the image URL for the content script to pick up
-    await chrome.storage.local.set({ 
-      pendingImageCheck: {
-        imageUrl: imageUrl,
-        timestamp: Date.now(),
-        sourceTabId: tab.id
+    return { dataUrl: canvas.toDataURL("image/png"), currentTime: video.currentTime };
+  } catch (error) {
+    return { error: "cross-origin" };
+  }
+}
+
+// Handle keyboard shortcuts
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command === "check-region") {
+    await startRegionCapture(tab);
+  }
+  
+  if (command === "check-page-images") {
+    await startImagePicker(tab);
+  }
+});
+
+/**
+ * Capture the visible tab and open the region picker on the screenshot.
+ * Working from a screenshot catches CSS backgrounds, canvases, images under
+ * overlays and PDF pages that can't be right-clicked.
+ */
+async function startRegionCapture(tab) {
+  if (!tab) {
+    [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  }
+  
+  if (!tab) return;
+  
+  try {
+    const screenshotUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: "png" });
+    
+    await chrome.storage.local.set({
+      pendingRegionCapture: {
+        screenshotUrl: screenshotUrl,
+        pageUrl: tab.url || null,
+        sourceTabId: tab.id,
+        timestamp: Date.now()
       }
     });
     
-    // Open Gemini in a new tab
-    const geminiTab = await chrome.tabs.create({
-      url: "https://gemini.google.com/app",
+    await chrome.tabs.create({
+      url: chrome.runtime.getURL("region.html"),
+      index: tab.index + 1,
       active: true
     });
     
-    console.log("[Is This Image Real?] Opened Gemini tab:", geminiTab.id);
+  } catch (error) {
+    log.error("Region capture failed:", error);
+    showNotification("Error", "Could not capture this page. Chrome doesn't allow capturing some pages, like the Web Store or browser settings.");
+  }
+}
+
+/**
+ * Show the image picker over the page (see picker.js), so several of its
+ * images can be checked in one go
+ */
+async function startImagePicker(tab) {
+  if (!tab) {
+    [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  }
+  
+  if (!tab) return;
+  
+  try {
+    // Scripts stay loaded, and declaring their constants twice throws,
+    // so only the ones not already in the page are injected
+    const [{ result: loaded }] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: findLoadedPickerScripts
+    });
+    
+    const files = PICKER_SCRIPTS.filter(file => !loaded[file]);
+    if (files.length > 0) {
+      await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: files });
+    }
+    
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => showImagePicker()
+    });
     
   } catch (error) {
-    console.error("[Is This Image Real?] Error:", error);
+    log.error("Image picker failed:", error);
+    showNotification("Error", "Could not list this page's images. Chrome doesn't allow extensions on some pages, like the Web Store or browser settings.");
+  }
+}
+
+/**
+ * Runs inside the page. Must stay self-contained.
+ * Which of PICKER_SCRIPTS are already loaded, by a global each one declares.
+ */
+function findLoadedPickerScripts() {
+  return {
+    "jobs.js": typeof JOBS_KEY !== "undefined",
+    "verdicts.js": typeof VERDICTS !== "undefined",
+    "errors.js": typeof ERROR_CODES !== "undefined",
+    "jobformat.js": typeof describeStatus === "function",
+    "picker.js": typeof showImagePicker === "function"
+  };
+}
+
+/**
+ * Queue the images picked from a page to run one after another in a single Gemini tab.
+ * Resolves with a job id for each image, or null for one that couldn't be read.
+ */
+async function startBatchCheck(images, tab, pageUrl) {
+  const jobIds = [];
+  
+  for (const { srcUrl } of images) {
+    // Web URLs are fetched later; data: and blob: sources are read now, as for a right-click
+    let imageDataUrl = null;
+    
+    if (!isValidWebUrl(srcUrl)) {
+      try {
+        imageDataUrl = isInPageImageUrl(srcUrl) ? await readImageFromSourceFrame(tab.id, 0, srcUrl) : null;
+      } catch (error) {
+        log.warn("Could not read in-page image:", error);
+      }
+      
+      if (!imageDataUrl) {
+        jobIds.push(null);
+        continue;
+      }
+    }
+    
+    const job = await enqueueJob({
+      imageUrl: srcUrl,
+      imageDataUrl: imageDataUrl,
+      pageUrl: pageUrl,
+      source: JOB_SOURCES.IMAGE,
+      sourceTabId: tab.id,
+      sourceFrameId: 0,
+      sourceElement: { tagName: "img", srcUrl: srcUrl },
+      force: false
+    });
+    jobIds.push(job.id);
+  }
+  
+  const queued = jobIds.filter(Boolean);
+  log.info(`Checking ${queued.length} of ${images.length} images from the page`);
+  
+  try {
+    if (queued.length > 0) {
+      await assignGeminiTab(queued);
+    }
+  } catch (error) {
+    log.error("Error:", error);
     showNotification("Error", "Something went wrong. Please try again.");
   }
-});
+  
+  return jobIds;
+}
+
+/**
+ * Queue an image check and hand it to a Gemini tab to claim
+ */
+async function startImageCheck({
+  imageUrl,
+  imageDataUrl = null,
+  fileName = null,
+  pageUrl = null,
+  source,
+  sourceTabId,
+  sourceFrameId = 0,
+  sourceElement = null,
+  force = false
+}) {
+  try {
+    // Queue the image for the content script to pick up
+    const job = await enqueueJob({
+      imageUrl: imageUrl,
+      imageDataUrl: imageDataUrl,
+      fileName: fileName,
+      pageUrl: pageUrl,
+      source: source,
+      sourceTabId: sourceTabId,
+      sourceFrameId: sourceFrameId,
+      sourceElement: sourceElement,
+      force: force  // Skip the earlier-verdict shortcut
+    });
+    
+    await assignGeminiTab([job.id]);
+    
+  } catch (error) {
+    log.error("Error:", error);
+    showNotification("Error", "Something went wrong. Please try again.");
+  }
+}
+
+/**
+ * Hand queued jobs to the Gemini tab that will run them, in order: the
+ * reused checker tab, or a newly opened one
+ */
+async function assignGeminiTab(jobIds) {
+  const settings = await getSettings();
+  
+  if (settings.tabMode === TAB_MODES.REUSE) {
+    const checkerTab = await findCheckerTab();
+    if (checkerTab) {
+      await assignJobsToTab(jobIds, checkerTab.id);
+      for (const jobId of jobIds) {
+        log.forRun(jobId).info("Reusing Gemini tab:", checkerTab.id, "for job:", jobId);
+      }
+      if (settings.geminiPlacement === GEMINI_PLACEMENTS.FOREGROUND) {
+        await chrome.tabs.update(checkerTab.id, { active: true });
+        await chrome.windows.update(checkerTab.windowId, { focused: true });
+      }
+      await dispatchNextJob(checkerTab.id);
+      return;
+    }
+  }
+  
+  // Open Gemini in a new tab
+  const geminiTab = await openGeminiTab(settings.geminiPlacement);
+  
+  // Tie the jobs to this tab so another Gemini tab can't claim them;
+  // it runs the next one each time a check finishes (see dispatchNextJob).
+  // One write, so they're recorded before the tab's content script asks for one.
+  await assignJobsToTab(jobIds, geminiTab.id);
+  for (const jobId of jobIds) {
+    log.forRun(jobId).info("Opened Gemini tab:", geminiTab.id, "for job:", jobId);
+  }
+  
+  if (settings.tabMode === TAB_MODES.REUSE) {
+    await chrome.storage.session.set({ checkerTabId: geminiTab.id });
+  }
+  
+  // Only the tab a job is assigned to can claim it, so if the tab somehow
+  // finished loading before the ids were recorded, start its first job now
+  await dispatchNextJob(geminiTab.id);
+}
+
+/**
+ * Open a new Gemini tab where the user wants checks to run: switched to,
+ * behind the current tab, or in a minimized window shared by later checks
+ */
+async function openGeminiTab(placement) {
+  if (placement === GEMINI_PLACEMENTS.MINIMIZED) {
+    const { geminiWindowId } = await chrome.storage.session.get("geminiWindowId");
+    if (geminiWindowId) {
+      try {
+        return await chrome.tabs.create({ windowId: geminiWindowId, url: GEMINI_APP_URL, active: true });
+      } catch (error) {
+        // Window was closed
+      }
+    }
+    
+    const geminiWindow = await chrome.windows.create({ url: GEMINI_APP_URL, state: "minimized", focused: false });
+    await chrome.storage.session.set({ geminiWindowId: geminiWindow.id });
+    return geminiWindow.tabs[0];
+  }
+  
+  return await chrome.tabs.create({
+    url: GEMINI_APP_URL,
+    active: placement !== GEMINI_PLACEMENTS.BACKGROUND
+  });
+}
+
+/**
+ * Find the Gemini tab checks should run in: the one the extension last used,
+ * otherwise any open Gemini tab (which then becomes the checker tab, unless
+ * `remember` is false)
+ */
+async function findCheckerTab({ remember = true } = {}) {
+  const { checkerTabId } = await chrome.storage.session.get("checkerTabId");
+  
+  if (checkerTabId) {
+    try {
+      const tab = await chrome.tabs.get(checkerTabId);
+      if (tab.url?.startsWith("https://gemini.google.com/")) {
+        return tab;
+      }
+    } catch (error) {
+      // Tab was closed
+    }
+  }
+  
+  const geminiTabs = await chrome.tabs.query({ url: "https://gemini.google.com/*" });
+  const tab = geminiTabs.find(t => t.active) || geminiTabs[0];
+  
+  if (tab && remember) {
+    await chrome.storage.session.set({ checkerTabId: tab.id });
+  }
+  return tab || null;
+}
+
+/**
+ * Tell a reused Gemini tab to start a fresh chat and claim its next job.
+ * Waits if the tab is still busy; it's asked again when that job finishes.
+ */
+async function dispatchNextJob(tabId) {
+  const running = await getJobsForTab(tabId, JOB_STATUS.RUNNING);
+  const queued = await getJobsForTab(tabId, JOB_STATUS.QUEUED);
+  if (running.length > 0 || queued.length === 0) return;
+  
+  // A tab that's still loading claims its job itself once the content script starts
+  const tab = await chrome.tabs.get(tabId);
+  if (tab.status === "loading") return;
+  
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { type: "RUN_JOB" });
+    log.debug("Tab", tabId, "accepted job:", response?.accepted);
+  } catch (error) {
+    // No content script in this tab (e.g. opened before the extension was installed),
+    // so load Gemini fresh and let the new content script claim the job
+    log.info("Reloading Gemini tab", tabId, "to run job");
+    await chrome.tabs.update(tabId, { url: GEMINI_APP_URL });
+  }
+}
 
 /**
  * Check if URL is a valid web URL (http/https)
@@ -87,70 +526,571 @@ function isValidWebUrl(url) {
 }
 
 /**
- * Show a browser notification to the user
+ * Check if URL can only be read from inside the page that shows it
+ * (base64 images, blob URLs from chat apps and editors, local files)
  */
-function showNotification(title, message) {
-  // Use an alert via the active tab since notifications require extra permission
-  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-    if (tabs[0]) {
-      chrome.scripting.executeScript({
-        target: { tabId: tabs[0].id },
-        func: (title, message) => {
-          alert(`${title}\n\n${message}`);
-        },
-        args: [title, message]
-      }).catch(err => {
-        console.error("Could not show notification:", err);
-      });
+function isInPageImageUrl(url) {
+  if (!url) return false;
+  return url.startsWith("data:image/") || url.startsWith("blob:") || url.startsWith("file://");
+}
+
+/**
+ * Read an image's bytes as a data URL from the frame it was right-clicked in.
+ * blob: URLs only resolve inside the document that created them, so the read
+ * has to happen there rather than in Gemini's tab.
+ */
+async function readImageFromSourceFrame(tabId, frameId, imageUrl) {
+  // data: URLs already carry their bytes
+  if (imageUrl.startsWith("data:")) {
+    return imageUrl;
+  }
+  
+  const results = await chrome.scripting.executeScript({
+    target: { tabId: tabId, frameIds: [frameId || 0] },
+    func: readImageInPage,
+    args: [imageUrl]
+  });
+  
+  return results?.[0]?.result || null;
+}
+
+/**
+ * Runs inside the source frame. Must stay self-contained.
+ */
+async function readImageInPage(imageUrl) {
+  try {
+    const response = await fetch(imageUrl);
+    const blob = await response.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onloadend = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error("Failed to read image data"));
+      reader.readAsDataURL(blob);
+    });
+  } catch (fetchError) {
+    // Revoked blob URLs can't be fetched, but the rendered <img> still has the pixels
+    const img = Array.from(document.images).find(el => el.currentSrc === imageUrl || el.src === imageUrl);
+    if (!img || !img.complete || !img.naturalWidth) {
+      return null;
+    }
+    
+    try {
+      const canvas = document.createElement("canvas");
+      canvas.width = img.naturalWidth;
+      canvas.height = img.naturalHeight;
+      canvas.getContext("2d").drawImage(img, 0, 0);
+      return canvas.toDataURL("image/png");
+    } catch (canvasError) {
+      return null;
     }
+  }
+}
+
+/**
+ * Show a system notification. Each button is { title, action } with an action
+ * from NOTIFICATION_ACTIONS; jobId ties the notification to a check, so a newer
+ * one about the same check replaces it.
+ */
+async function showNotification(title, message, { jobId = null, buttons = [], contextMessage = "" } = {}) {
+  const notificationId = jobId ? `job-${jobId}` : crypto.randomUUID();
+  
+  // Kept in session storage, since the worker may have restarted by the time it's clicked
+  await chrome.storage.session.set({
+    [`notification:${notificationId}`]: { jobId, actions: buttons.map(button => button.action) }
   });
+  
+  try {
+    await chrome.notifications.create(notificationId, {
+      type: "basic",
+      iconUrl: "icons/icon128.png",
+      title,
+      message,
+      contextMessage,
+      buttons: buttons.map(button => ({ title: button.title }))
+    });
+  } catch (error) {
+    log.error("Could not show notification:", error);
+  }
+}
+
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  const key = `notification:${notificationId}`;
+  const { [key]: notification } = await chrome.storage.session.get(key);
+  chrome.notifications.clear(notificationId);
+  
+  if (notification) {
+    runNotificationAction(notification.actions[buttonIndex], notification.jobId);
+  }
+});
+
+// Clicking a notification about a check brings up its conversation
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  const key = `notification:${notificationId}`;
+  const { [key]: notification } = await chrome.storage.session.get(key);
+  chrome.notifications.clear(notificationId);
+  
+  if (notification?.jobId) {
+    runNotificationAction(NOTIFICATION_ACTIONS.OPEN_GEMINI, notification.jobId);
+  }
+});
+
+chrome.notifications.onClosed.addListener((notificationId) => {
+  chrome.storage.session.remove(`notification:${notificationId}`);
+});
+
+function runNotificationAction(action, jobId) {
+  if (action === NOTIFICATION_ACTIONS.RETRY && jobId) {
+    rerunJob(jobId);
+  }
+  if (action === NOTIFICATION_ACTIONS.OPEN_GEMINI) {
+    openGemini(jobId);
+  }
+}
+
+/**
+ * Tell the user a check finished, unless they're already looking at its Gemini tab
+ */
+async function notifyJobFinished(job, tabId) {
+  if (await isTabInView(tabId)) return;
+  
+  const contextMessage = isValidWebUrl(job.pageUrl) ? new URL(job.pageUrl).hostname : "";
+  
+  if (job.status === JOB_STATUS.COMPLETE) {
+    const answer = job.answerText?.replace(/\s+/g, " ").trim() || "";
+    showNotification(
+      VERDICT_LABELS[job.verdict] || "Check finished",
+      answer.length > 200 ? `${answer.slice(0, 200)}…` : answer || "Open Gemini to see the details.",
+      { jobId: job.id, buttons: [OPEN_GEMINI_BUTTON], contextMessage }
+    );
+    return;
+  }
+  
+  if (job.errorCode === ERROR_CODES.CANCELLED) return;
+  
+  const entry = ERROR_CATALOG[job.errorCode] || ERROR_CATALOG[ERROR_CODES.UNKNOWN];
+  const buttons = canRerunJob(job)
+    ? [{ title: "Retry", action: NOTIFICATION_ACTIONS.RETRY }, OPEN_GEMINI_BUTTON]
+    : [OPEN_GEMINI_BUTTON];
+  showNotification("Check failed", `${entry.message} ${entry.remedy}`, { jobId: job.id, buttons, contextMessage });
+}
+
+/**
+ * Whether a tab is the one showing in a focused, visible window
+ */
+async function isTabInView(tabId) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab.active) return false;
+    const tabWindow = await chrome.windows.get(tab.windowId);
+    return tabWindow.focused && tabWindow.state !== "minimized";
+  } catch (error) {
+    // Tab was closed
+    return false;
+  }
 }
 
 // Listen for messages from content script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === "GET_PENDING_IMAGE") {
-    chrome.storage.local.get("pendingImageCheck", (result) => {
-      sendResponse(result.pendingImageCheck || null);
-      
-      // Clear the pending image after retrieval
-      if (result.pendingImageCheck) {
-        chrome.storage.local.remove("pendingImageCheck");
+  if (message.type === "CLAIM_JOB") {
+    if (!sender.tab) {
+      sendResponse(null);
+      return;
+    }
+    
+    claimJob(sender.tab.id).then(async ({ job, failed }) => {
+      if (failed) {
+        log.forRun(failed.id).error("Gave up on job:", failed.id, "after", MAX_RESUMES, "page reloads");
+        notifyJobFinished(failed, sender.tab.id);
       }
+      if (job?.resumeCount) {
+        log.forRun(job.id).info("Tab", sender.tab.id, "resuming job:", job.id, "from", job.state);
+      } else if (job) {
+        log.forRun(job.id).info("Tab", sender.tab.id, "claimed job:", job.id);
+      }
+      // The tab gets the image bytes with the job; they're stored apart from it
+      sendResponse(job && { ...job, imageDataUrl: job.hasImageData ? await getJobImage(job.id) : null });
     });
     return true; // Keep channel open for async response
   }
   
+  if (message.type === "START_REGION_CAPTURE") {
+    startRegionCapture(null);
+    return;
+  }
+  
+  if (message.type === "START_IMAGE_PICKER") {
+    startImagePicker(null);
+    return;
+  }
+  
+  if (message.type === "CHECK_BATCH") {
+    if (!sender.tab) {
+      sendResponse(null);
+      return;
+    }
+    
+    startBatchCheck(message.images, sender.tab, message.pageUrl)
+      .then(jobIds => sendResponse({ jobIds: jobIds }))
+      .catch(error => {
+        log.error("Batch check failed:", error);
+        sendResponse({ error: error.message });
+      });
+    return true; // Keep channel open for async response
+  }
+  
+  if (message.type === "GET_REGION_CAPTURE") {
+    chrome.storage.local.get("pendingRegionCapture", (result) => {
+      sendResponse(result.pendingRegionCapture || null);
+      chrome.storage.local.remove("pendingRegionCapture");
+    });
+    return true; // Keep channel open for async response
+  }
+  
+  if (message.type === "CHECK_REGION") {
+    log.info("Checking selected region:", message.width, "x", message.height);
+    
+    startImageCheck({
+      imageUrl: message.pageUrl || "region.png",
+      imageDataUrl: message.dataUrl,
+      fileName: "region.png",
+      pageUrl: message.pageUrl,
+      source: JOB_SOURCES.REGION,
+      sourceTabId: message.sourceTabId
+    });
+    
+    // The picker tab has done its job
+    if (sender.tab) {
+      chrome.tabs.remove(sender.tab.id);
+    }
+    return;
+  }
+  
   if (message.type === "FETCH_IMAGE") {
-    console.log("[Is This Image Real?] Background fetching image:", message.imageUrl);
+    log.debug("Background fetching image:", message.imageUrl);
     
     fetchImageAsDataUrl(message.imageUrl)
       .then(dataUrl => {
-        console.log("[Is This Image Real?] Background fetch successful, data URL length:", dataUrl.length);
+        log.debug("Background fetch successful, data URL length:", dataUrl.length);
         sendResponse({ success: true, dataUrl: dataUrl });
       })
       .catch(error => {
-        console.error("[Is This Image Real?] Background fetch failed:", error.message);
-        sendResponse({ success: false, error: error.message });
+        log.warn("Background fetch failed:", error.message);
+        sendResponse({ success: false, error: error.message, status: error.status || null });
       });
     
     return true; // Keep channel open for async response
   }
   
+  // Saved so a reloaded Gemini tab can pick the check back up where it was
+  if (message.type === "CHECK_PROGRESS") {
+    updateJob(message.jobId, { state: message.state, timings: message.timings });
+  }
+  
   if (message.type === "CHECK_COMPLETE") {
-    console.log("[Is This Image Real?] Check complete:", message.success);
+    log.forRun(message.jobId).info("Check complete:", message.jobId, message.verdict);
+    finishJob(message.jobId, {
+      status: JOB_STATUS.COMPLETE,
+      verdict: message.verdict,
+      answerText: message.answerText,
+      conversationUrl: message.conversationUrl,
+      cachedFrom: message.cachedFrom || null,
+      similarity: message.similarity ?? null,
+      timings: message.timings || null
+    })
+      .then(job => {
+        if (job) showVerdictBadge(job);
+        if (job && sender.tab) notifyJobFinished(job, sender.tab.id);
+        if (sender.tab) dispatchNextJob(sender.tab.id);
+      });
+  }
+  
+  if (message.type === "OPEN_CONVERSATION") {
+    openConversation(message.jobId);
+  }
+  
+  if (message.type === "LOOKUP_IMAGE_HASH") {
+    lookupImageHash(message.jobId, message.sha256, message.phash)
+      .then(matches => sendResponse(matches));
+    return true; // Keep channel open for async response
+  }
+  
+  if (message.type === "MOVE_JOB" && sender.tab) {
+    moveJobToNewTab(message.jobId)
+      .then(() => dispatchNextJob(sender.tab.id));
+  }
+  
+  if (message.type === "RERUN_JOB") {
+    rerunJob(message.jobId);
+  }
+  
+  // Cleared here rather than in the popup, so it can't race the background's own job writes
+  if (message.type === "CLEAR_HISTORY") {
+    clearFinishedJobs();
+    chrome.storage.local.remove(LOGS_KEY);
+    return;
+  }
+  
+  // Content scripts' log lines, kept with the background's own (see logger.js)
+  if (message.type === "APPEND_LOGS") {
+    appendLogEntries(message.entries);
+    return;
+  }
+  
+  if (message.type === "RUN_DIAGNOSTICS") {
+    runDiagnostics().then(report => sendResponse(report));
+    return true; // Keep channel open for async response
+  }
+  
+  // Gemini hides its step toasts while the side panel shows the progress,
+  // which it can only do from the Gemini tab's own window
+  if (message.type === "IS_SIDE_PANEL_OPEN") {
+    if (!sender.tab) {
+      sendResponse(false);
+      return;
+    }
+    
+    chrome.runtime.getContexts({ contextTypes: ["SIDE_PANEL"], windowIds: [sender.tab.windowId] })
+      .then(contexts => sendResponse(contexts.length > 0))
+      .catch(() => sendResponse(false));
+    return true; // Keep channel open for async response
   }
   
   if (message.type === "CHECK_ERROR") {
-    console.error("[Is This Image Real?] Check error:", message.error);
+    log.forRun(message.jobId).error("Check error:", message.jobId, message.code, message.detail || message.error);
+    finishJob(message.jobId, {
+      status: JOB_STATUS.ERROR,
+      error: message.error,
+      errorCode: message.code || ERROR_CODES.UNKNOWN,
+      timings: message.timings || null
+    })
+      .then(job => {
+        if (job && sender.tab) notifyJobFinished(job, sender.tab.id);
+        if (sender.tab) dispatchNextJob(sender.tab.id);
+      });
   }
 });
 
+// A closed Gemini tab can never finish its job
+chrome.tabs.onRemoved.addListener((tabId) => {
+  failJobsForTab(tabId, ERROR_CODES.GEMINI_TAB_CLOSED).then(jobs => {
+    for (const job of jobs) notifyJobFinished(job, tabId);
+  });
+});
+
+/**
+ * Overlay the verdict on the image that was right-clicked in the source tab
+ */
+async function showVerdictBadge(job) {
+  if (!job.sourceTabId || !job.sourceElement || !job.verdict) return;
+  
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId: job.sourceTabId, frameIds: [job.sourceFrameId || 0] },
+      func: showVerdictBadgeInPage,
+      args: [job.id, job.sourceElement, job.verdict, VERDICT_LABELS[job.verdict]]
+    });
+  } catch (error) {
+    // Source tab was closed or navigated away (which also ends our activeTab access)
+    log.debug("Could not badge source image:", error.message);
+  }
+}
+
+/**
+ * Runs inside the source frame. Must stay self-contained.
+ * Pins a small verdict badge to the top-left corner of the checked element.
+ */
+function showVerdictBadgeInPage(jobId, sourceElement, verdict, label) {
+  const candidates = Array.from(document.querySelectorAll(sourceElement.tagName));
+  const target = candidates.find(el => sourceElement.srcUrl &&
+    (el.currentSrc === sourceElement.srcUrl || el.src === sourceElement.srcUrl));
+  if (!target) return false;
+  
+  // Replace the badge from an earlier check of the same element, listeners and all.
+  // Every injection runs in the same isolated world, so its removeBadge is visible here.
+  const badgeId = `synthid-badge-${target.dataset.synthidBadge || jobId}`;
+  const oldBadge = document.getElementById(badgeId);
+  if (oldBadge?.removeBadge) {
+    oldBadge.removeBadge();
+  } else {
+    oldBadge?.remove();
+  }
+  target.dataset.synthidBadge = jobId;
+  
+  const colors = {
+    detected: "#f59e0b",
+    partial: "#f59e0b",
+    not_detected: "#22c55e",
+    inconclusive: "#888"
+  };
+  
+  const badge = document.createElement("button");
+  badge.id = `synthid-badge-${jobId}`;
+  badge.textContent = label;
+  badge.title = "Open the Gemini conversation for this check";
+  badge.style.cssText = `
+    position: absolute;
+    z-index: 2147483646;
+    padding: 5px 10px;
+    border: none;
+    border-radius: 8px;
+    background: #1a1a1a;
+    color: #f5f5f5;
+    border-left: 4px solid ${colors[verdict] || colors.inconclusive};
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.35);
+    font: 600 12px/1.2 -apple-system, BlinkMacSystemFont, sans-serif;
+    cursor: pointer;
+  `;
+  
+  badge.addEventListener("click", (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    chrome.runtime.sendMessage({ type: "OPEN_CONVERSATION", jobId: jobId });
+  });
+  
+  // Follow the element as the page scrolls and reflows
+  const position = () => {
+    if (!target.isConnected) {
+      badge.removeBadge();
+      return;
+    }
+    const rect = target.getBoundingClientRect();
+    badge.style.left = `${rect.left + window.scrollX + 8}px`;
+    badge.style.top = `${rect.top + window.scrollY + 8}px`;
+  };
+  
+  badge.removeBadge = () => {
+    badge.remove();
+    window.removeEventListener("resize", position);
+    document.removeEventListener("scroll", position, { capture: true });
+  };
+  
+  position();
+  document.body.appendChild(badge);
+  window.addEventListener("resize", position);
+  document.addEventListener("scroll", position, { capture: true, passive: true });
+  return true;
+}
+
+/**
+ * Record a job's hashes and find earlier verdicts for the same picture:
+ * byte-identical first, otherwise visually near-identical
+ */
+async function lookupImageHash(jobId, sha256, phash) {
+  await updateJob(jobId, { sha256: sha256, phash: phash });
+  
+  const exact = await findJobByHash(sha256, jobId);
+  const similar = phash && !exact ? await findSimilarJobs(phash, jobId) : [];
+  
+  if (similar.length > 0) {
+    log.debug("Similar earlier checks:", similar.map(m => `${m.job.id} (${m.similarity})`));
+  }
+  return { exact, similar };
+}
+
+/**
+ * Queue a fresh check of a job's image from history
+ */
+async function rerunJob(jobId) {
+  const job = (await getJobs()).find(j => j.id === jobId);
+  if (!job || !canRerunJob(job)) return;
+  
+  log.forRun(jobId).info("Re-running job:", jobId);
+  
+  await startImageCheck({
+    imageUrl: job.imageUrl,
+    imageDataUrl: job.hasImageData ? await getJobImage(job.id) : null,
+    fileName: job.fileName,
+    pageUrl: job.pageUrl,
+    source: job.source,
+    sourceTabId: job.sourceTabId,
+    sourceFrameId: job.sourceFrameId,
+    sourceElement: job.sourceElement,
+    force: true
+  });
+}
+
+/**
+ * Hand a running job to a new Gemini tab, for when its tab holds the user's own draft
+ */
+async function moveJobToNewTab(jobId) {
+  const settings = await getSettings();
+  const geminiTab = await openGeminiTab(settings.geminiPlacement);
+  
+  await updateJob(jobId, { status: JOB_STATUS.QUEUED, geminiTabId: geminiTab.id, state: null, resumeCount: 0 });
+  log.forRun(jobId).info("Moved job:", jobId, "to new Gemini tab:", geminiTab.id);
+  await dispatchNextJob(geminiTab.id);
+}
+
+/**
+ * Have the Gemini tab probe its page for everything a check needs (see diagnostics.js)
+ */
+async function runDiagnostics() {
+  // Probing a tab shouldn't make it the one checks run in
+  const tab = await findCheckerTab({ remember: false });
+  if (!tab) {
+    return { error: "No Gemini tab is open. Open gemini.google.com and run diagnostics again." };
+  }
+  
+  log.info("Running diagnostics in tab", tab.id);
+  try {
+    return await chrome.tabs.sendMessage(tab.id, { type: "RUN_DIAGNOSTICS" });
+  } catch (error) {
+    // Tab opened before the extension was installed or updated
+    return { error: "The Gemini tab isn't ready for diagnostics. Reload it and try again." };
+  }
+}
+
+/**
+ * Bring up the Gemini conversation for a job: its tab if still open, otherwise a new one
+ */
+async function openConversation(jobId) {
+  const job = (await getJobs()).find(j => j.id === jobId);
+  if (!job?.conversationUrl) return;
+  
+  try {
+    const tab = await chrome.tabs.get(job.geminiTabId);
+    if (tab.url === job.conversationUrl) {
+      await chrome.tabs.update(tab.id, { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+      return;
+    }
+  } catch (error) {
+    // Tab was closed
+  }
+  
+  await chrome.tabs.create({ url: job.conversationUrl, active: true });
+}
+
+/**
+ * Bring up Gemini for a check: its conversation, else its tab, else a new Gemini tab
+ */
+async function openGemini(jobId) {
+  const job = jobId && (await getJobs()).find(j => j.id === jobId);
+  if (job?.conversationUrl) {
+    await openConversation(jobId);
+    return;
+  }
+  
+  if (job?.geminiTabId) {
+    try {
+      const tab = await chrome.tabs.get(job.geminiTabId);
+      await chrome.tabs.update(tab.id, { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+      return;
+    } catch (error) {
+      // Its tab was closed
+    }
+  }
+  
+  await chrome.tabs.create({ url: GEMINI_APP_URL, active: true });
+}
+
 /**
  * Fetch an image and convert it to a data URL
  * Background scripts have more permissive CORS handling
  */
 async function fetchImageAsDataUrl(imageUrl) {
-  console.log("[Is This Image Real?] Fetching:", imageUrl);
+  log.debug("Fetching:", imageUrl);
   
   const response = await fetch(imageUrl, {
     mode: 'cors',
@@ -161,11 +1101,13 @@ async function fetchImageAsDataUrl(imageUrl) {
   });
   
   if (!response.ok) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+    error.status = response.status;
+    throw error;
   }
   
   const blob = await response.blob();
-  console.log("[Is This Image Real?] Got blob, type:", blob.type, "size:", blob.size);
+  log.debug("Got blob, type:", blob.type, "size:", blob.size);
   
   // Convert blob to data URL
   return new Promise((resolve, reject) => {
@@ -3,222 +3,820 @@
  * Handles image upload and @SynthID query automation
  */
 
-// Constants defined at module scope for accessibility
-const LOG_PREFIX = "[Is This Image Real?]";
-const MAX_WAIT_TIME = 30000; // 30 seconds max wait
-const POLL_INTERVAL = 500;   // Check every 500ms
+// Log lines go to the background script's debug log buffer (see logger.js)
+const log = createLogger("gemini", {
+  persist: (entries) => chrome.runtime.sendMessage({ type: "APPEND_LOGS", entries })
+});
+
+// Upper bounds for waits that normally end as soon as the page reacts (ms)
+const SIGN_IN_TIMEOUT = 5000;   // Sign-in state to become clear
+const MENU_TIMEOUT = 3000;      // A menu, dropdown or button to appear
+const UPLOAD_TIMEOUT = 5000;    // Thumbnail to show after an upload method
+const DROP_TIMEOUT = 1000;      // Thumbnail to show after a drop on one target
+
+// Pauses shorter than this don't wait on a timer in a hidden tab (ms, see delay())
+const HIDDEN_TAB_MAX_PAUSE = 1000;
+
+// Google sign-in, returning to Gemini afterwards
+const GEMINI_SIGN_IN_URL = "https://accounts.google.com/ServiceLogin?continue=https%3A%2F%2Fgemini.google.com%2Fapp";
+
+// States of a check, run in CHECK_ORDER (see buildCheckSteps)
+const CHECK_STATES = {
+  SIGN_IN: "signIn",
+  READY: "ready",       // Gemini's chat input is on the page
+  FETCH: "fetch",
+  LOOKUP: "lookup",     // Earlier verdicts for the same image
+  DRAFT: "draft",       // The user's own draft set aside, in a fresh chat if asked
+  TYPE: "type",         // @SynthID and the question in the input
+  UPLOAD: "upload",
+  SEND: "send",
+  ANSWER: "answer",
+  DONE: "done"
+};
+
+const CHECK_ORDER = [
+  CHECK_STATES.SIGN_IN,
+  CHECK_STATES.READY,
+  CHECK_STATES.FETCH,
+  CHECK_STATES.LOOKUP,
+  CHECK_STATES.DRAFT,
+  CHECK_STATES.TYPE,
+  CHECK_STATES.UPLOAD,
+  CHECK_STATES.SEND,
+  CHECK_STATES.ANSWER,
+  CHECK_STATES.DONE
+];
+
+// User settings (see settings.js), reloaded at the start of every job
+let settings = { ...DEFAULT_SETTINGS };
+
+// How long each step of the current job took, in ms
+let stepTimings = {};
+
+// Set while a job is running so a second RUN_JOB can't start another
+let isRunningJob = false;
+
+// Aborted by the Cancel button to stop the whole running check
+let runAbort = null;
+
+// Set for a check whose progress the side panel is showing, so the step toasts stay hidden
+let progressInSidePanel = false;
+
+// Aborted when the current step attempt is cancelled or paused; delay() and
+// waitForCondition() give up as soon as it fires
+let stepSignal = null;
+
+// sessionStorage key for the user's draft while a check borrows the input:
+// { text, url } with the address of the chat it was typed in.
+// sessionStorage outlives the reloads a check can resume from.
+const DRAFT_KEY = "synthid-stashed-draft";
+
+// Abort reason for an attempt cut short because the user started using the chat
+const PAUSED_BY_USER = new Error("Paused while the user used Gemini's input");
 
 (async function() {
   "use strict";
   
-  console.log(`${LOG_PREFIX} Content script loaded on Gemini`);
+  log.debug('Content script loaded on Gemini');
   
-  // Check if we have a pending image to process
-  const pendingImage = await getPendingImage();
+  // A reused checker tab is told to run its next job without a page reload
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === "RUN_JOB") {
+      sendResponse({ accepted: !isRunningJob });
+      runNextJob({ freshChat: true });
+    }
+    
+    // Cancel button in the side panel
+    if (message.type === "CANCEL_CHECK") {
+      cancelCheck();
+    }
+  });
   
-  if (!pendingImage) {
-    console.log(`${LOG_PREFIX} No pending image check, exiting`);
-    return;
-  }
+  // A draft kept back after a check goes back in once the user returns to its chat
+  window.navigation?.addEventListener('navigatesuccess', async () => {
+    if (isRunningJob || !getStashedDraft()) return;
+    await loadSelectorPack();
+    await waitForCondition(() => findReadyInput());
+    if (!isRunningJob) restoreDraft();
+  });
   
-  // Check if the pending image is recent (within last 30 seconds)
-  if (Date.now() - pendingImage.timestamp > 30000) {
-    console.log(`${LOG_PREFIX} Pending image is too old, ignoring`);
-    return;
+  await runNextJob({ freshChat: false });
+  if (getStashedDraft()) {
+    await loadSelectorPack();
+    restoreDraft();
   }
+})();
+
+/**
+ * Claim this tab's next queued job and run it
+ */
+async function runNextJob({ freshChat }) {
+  if (isRunningJob) return;
+  isRunningJob = true;
   
-  console.log(`${LOG_PREFIX} Processing image:`, pendingImage.imageUrl);
+  try {
+    const pendingImage = await requestJob();
+    
+    if (!pendingImage) {
+      log.debug('No pending image check, exiting');
+      return;
+    }
+    
+    await runImageCheck(pendingImage, { freshChat });
+  } finally {
+    isRunningJob = false;
+  }
+}
+
+/**
+ * Run the whole check for one job by stepping through CHECK_ORDER
+ * Each state is reported to the background script as it starts, so a
+ * reloaded tab can resume the check (see getResumeState)
+ */
+async function runImageCheck(pendingImage, { freshChat }) {
+  settings = await getSettings();
+  stepTimings = { ...pendingImage.timings };
+  log.setRun(pendingImage.id);
+  
+  log.info(`Processing job ${pendingImage.id}:`, pendingImage.imageUrl.slice(0, 200));
+  
+  const steps = buildCheckSteps();
+  const ctx = {
+    job: pendingImage,
+    inputArea: null,
+    imageBlob: null,
+    responsesBefore: 0,
+    sent: false,
+    toolMissing: false,
+    skipLookup: false,
+    freshChat: freshChat,
+    answer: null
+  };
+  let state = getResumeState(pendingImage, ctx);
+  runAbort = new AbortController();
+  progressInSidePanel = await isSidePanelOpen();
   
   // Show loading indicator
   showLoadingOverlay();
   
   try {
-    // ============================================
-    // STEP 0: Check if user is signed in to Gemini
-    // ============================================
-    console.log(`${LOG_PREFIX} Checking sign-in status...`);
-    const signedIn = await checkGeminiSignIn();
+    // Inside the try, so a pack that fails to load fails the job instead of leaving it running
+    await loadSelectorPack();
     
-    if (!signedIn) {
-      console.log(`${LOG_PREFIX} User is NOT signed in to Gemini`);
-      hideLoadingOverlay();
-      showSignInRequiredMessage();
-      chrome.runtime.sendMessage({ type: "CHECK_ERROR", error: "Not signed in to Gemini" });
-      return;
+    while (state !== CHECK_STATES.DONE) {
+      chrome.runtime.sendMessage({ type: "CHECK_PROGRESS", jobId: pendingImage.id, state, timings: stepTimings });
+      
+      const nextState = await timed(state, () => runStep(state, steps[state], ctx));
+      state = nextState || CHECK_ORDER[CHECK_ORDER.indexOf(state) + 1];
     }
     
-    console.log(`${LOG_PREFIX} User is signed in, proceeding...`);
-    
-    // Wait for Gemini to fully load
-    const inputArea = await waitForGeminiReady();
-    console.log(`${LOG_PREFIX} Gemini is ready, input area found:`, inputArea);
-    
-    // Small delay to ensure everything is settled
-    await delay(1000);
-    
-    // ============================================
-    // STEP 1: Type @SynthID FIRST (while input is clean)
-    // ============================================
-    // Hide overlay temporarily so dropdown is visible
+    // Reported here rather than in the answer step, so its time is in stepTimings
+    if (ctx.answer) {
+      chrome.runtime.sendMessage({
+        type: "CHECK_COMPLETE",
+        jobId: pendingImage.id,
+        success: true,
+        sent: ctx.sent,
+        verdict: ctx.answer.verdict,
+        answerText: ctx.answer.answerText,
+        conversationUrl: window.location.href,
+        timings: stepTimings
+      });
+    }
+  } catch (error) {
+    const checkError = toCheckError(error);
     hideLoadingOverlay();
-    showTypingOverlay();
-    
-    console.log(`${LOG_PREFIX} Step 1: Typing @SynthID query...`);
-    await typeSynthIDQuery(inputArea);
-    console.log(`${LOG_PREFIX} Query typed successfully`);
     
-    // Small delay before uploading
-    await delay(500);
+    // Don't leave a half-typed query or a half-made upload behind
+    const stateIndex = CHECK_ORDER.indexOf(state);
+    if (ctx.inputArea?.isConnected && stateIndex >= CHECK_ORDER.indexOf(CHECK_STATES.TYPE) &&
+        stateIndex <= CHECK_ORDER.indexOf(CHECK_STATES.SEND) && !ctx.sent) {
+      clearComposer(ctx.inputArea);
+      removeComposerAttachments(ctx.inputArea);
+    }
     
-    // ============================================
-    // STEP 2: Upload the image
-    // ============================================
-    hideTypingOverlay();
-    showUploadingOverlay();
+    if (checkError.code === ERROR_CODES.CANCELLED) {
+      log.info(`Check cancelled in step "${state}"`);
+    } else {
+      log.error(`Error in step "${state}":`, checkError.code, checkError.detail || '', error);
+      showErrorMessage(checkError, pendingImage);
+    }
     
-    console.log(`${LOG_PREFIX} Step 2: Fetching image...`);
-    const imageBlob = await fetchImage(pendingImage.imageUrl);
-    console.log(`${LOG_PREFIX} Image fetched, size:`, imageBlob.size);
+    chrome.runtime.sendMessage({
+      type: "CHECK_ERROR",
+      jobId: pendingImage.id,
+      error: checkError.message,
+      code: checkError.code,
+      detail: checkError.detail,
+      state,
+      timings: stepTimings
+    });
+  } finally {
+    runAbort = null;
+    restoreDraft({ notify: true });
+    log.setRun(null);
+  }
+}
+
+/**
+ * Stop the running check (the progress overlays' Cancel button)
+ */
+function cancelCheck() {
+  runAbort?.abort(new CheckError(ERROR_CODES.CANCELLED));
+}
+
+/**
+ * Run one state's step, retrying and recovering as its definition says
+ * Returns the step's choice of next state, if it made one
+ */
+async function runStep(state, step, ctx) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await runAttempt(state, step, ctx, attempt);
+    } catch (error) {
+      if (error === PAUSED_BY_USER) {
+        log.debug(`Step "${state}" paused: the user is using the chat`);
+        // The side panel's Cancel still has to work while the prompt waits
+        const resume = await abortable(showPausedPrompt(), runAbort.signal)
+          .finally(() => document.getElementById('synthid-paused')?.remove());
+        if (!resume) {
+          throw new CheckError(ERROR_CODES.CANCELLED);
+        }
+        // Start the same attempt over; whatever the user typed may have mixed into ours
+        if (step.recover) await step.recover(ctx, error);
+        attempt--;
+        continue;
+      }
+      if (error.code === ERROR_CODES.CANCELLED) throw error;
+      
+      if (attempt < step.retries) {
+        log.warn(`Step "${state}" failed (attempt ${attempt + 1}), retrying:`, error.message);
+        if (step.recover) await step.recover(ctx, error);
+        continue;
+      }
+      
+      if (step.fallback) {
+        log.warn(`Step "${state}" failed, falling back:`, error.message);
+        return await step.fallback(ctx, error);
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Run one attempt at a step, cut short by its timeout, the Cancel button or,
+ * for steps that type into Gemini, the user using the chat input
+ */
+async function runAttempt(state, step, ctx, attempt) {
+  const controller = new AbortController();
+  const cancel = () => controller.abort(runAbort.signal.reason);
+  if (runAbort.signal.aborted) throw runAbort.signal.reason;
+  runAbort.signal.addEventListener('abort', cancel);
+  
+  const stopGuard = step.guardInput && ctx.inputArea
+    ? guardUserInput(ctx.inputArea, () => controller.abort(PAUSED_BY_USER))
+    : null;
+  // Aborting rather than just rejecting stops the attempt's own typing and
+  // uploading, so it can't carry on alongside recover() and the retry
+  const timer = step.timeout && setTimeout(() => {
+    controller.abort(new CheckError(ERROR_CODES.STEP_TIMEOUT, `"${state}" took longer than ${step.timeout}ms`));
+  }, step.timeout);
+  stepSignal = controller.signal;
+  
+  try {
+    return await abortable(step.run(ctx, attempt), controller.signal);
+  } finally {
+    clearTimeout(timer);
+    stepSignal = null;
+    stopGuard?.();
+    runAbort.signal.removeEventListener('abort', cancel);
+  }
+}
+
+/**
+ * Call onInterfere when the user types, clicks, pastes or drops into the input
+ * Only trusted events count, so our own simulated ones don't trip it.
+ * Returns a function that removes the guard.
+ */
+function guardUserInput(inputArea, onInterfere) {
+  const events = ['keydown', 'mousedown', 'paste', 'drop'];
+  const listener = (event) => {
+    if (event.isTrusted && inputArea.contains(event.target)) {
+      onInterfere();
+    }
+  };
+  
+  events.forEach(type => document.addEventListener(type, listener, true));
+  return () => events.forEach(type => document.removeEventListener(type, listener, true));
+}
+
+/**
+ * Reject with the signal's reason as soon as it aborts
+ */
+function abortable(promise, signal) {
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    })
+  ]);
+}
+
+/**
+ * Pick the state to start from. A job with a saved state was cut off by a
+ * page reload: the draft and attachment went with the old page, so it starts
+ * over, unless the question was already sent and only the answer is left.
+ */
+function getResumeState(job, ctx) {
+  if (!job.state) return CHECK_STATES.SIGN_IN;
+  
+  log.info(`Resuming job interrupted in step "${job.state}"`);
+  
+  if (job.state === CHECK_STATES.ANSWER) {
+    ctx.sent = true;
+    return CHECK_STATES.ANSWER;
+  }
+  
+  // The user already chose to check again rather than reuse an earlier verdict
+  ctx.skipLookup = CHECK_ORDER.indexOf(job.state) > CHECK_ORDER.indexOf(CHECK_STATES.LOOKUP);
+  return CHECK_STATES.SIGN_IN;
+}
+
+/**
+ * The steps of a check, keyed by state. Built per job since timeouts follow the settings.
+ * - run(ctx, attempt): does the step; may return the next state to jump to
+ * - timeout: ms before an attempt counts as failed (null for steps that wait on the user)
+ * - retries: extra attempts after a failure, each preceded by recover(ctx, error)
+ * - guardInput: pause if the user types or clicks in the input mid-step, then recover and redo it
+ * - fallback(ctx, error): once retries run out, continues the check instead of failing it
+ */
+function buildCheckSteps() {
+  return {
+    [CHECK_STATES.SIGN_IN]: {
+      timeout: SIGN_IN_TIMEOUT * 2,
+      retries: 0,
+      run: async () => {
+        log.debug('Checking sign-in status...');
+        if (!(await checkGeminiSignIn())) {
+          throw new CheckError(ERROR_CODES.NOT_SIGNED_IN);
+        }
+        log.debug('User is signed in, proceeding...');
+      }
+    },
     
-    console.log(`${LOG_PREFIX} Step 3: Uploading image...`);
-    await uploadImageToGemini(imageBlob, pendingImage.imageUrl);
-    console.log(`${LOG_PREFIX} Image upload complete`);
+    [CHECK_STATES.READY]: {
+      timeout: settings.maxWaitTime + 5000,
+      retries: 1,
+      run: async (ctx) => {
+        ctx.inputArea = await waitForGeminiReady();
+        log.debug('Gemini is ready, input area found:', ctx.inputArea);
+      },
+      // A stuck page sometimes recovers in a new chat; if that means navigating, the reload resumes the job
+      recover: () => startNewChat()
+    },
     
-    // Wait for upload to process
-    await delay(2000);
+    [CHECK_STATES.FETCH]: {
+      timeout: settings.maxWaitTime,
+      retries: 1,
+      run: async (ctx) => {
+        // Fetch first, so a repeat image can be answered without touching Gemini
+        log.debug('Fetching image...');
+        ctx.imageBlob = ctx.job.imageDataUrl
+          ? await dataUrlToBlob(ctx.job.imageDataUrl)
+          : await fetchImage(ctx.job.imageUrl);
+        log.debug('Image fetched, size:', ctx.imageBlob.size);
+      }
+    },
     
-    // Verify image was uploaded
-    const imageUploaded = checkForUploadedImage();
-    console.log(`${LOG_PREFIX} Image upload verified:`, imageUploaded);
+    [CHECK_STATES.LOOKUP]: {
+      timeout: null, // Waits on the user's choice when the image was checked before
+      retries: 0,
+      run: (ctx) => offerPreviousVerdict(ctx)
+    },
     
-    if (!imageUploaded) {
-      console.log(`${LOG_PREFIX} WARNING: Image may not have uploaded.`);
-    }
+    [CHECK_STATES.DRAFT]: {
+      timeout: settings.maxWaitTime,
+      retries: 0,
+      run: (ctx) => setAsideDraft(ctx)
+    },
     
-    // ============================================
-    // STEP 3: Auto-send the message!
-    // ============================================
-    hideUploadingOverlay();
-    showSendingOverlay();
+    [CHECK_STATES.TYPE]: {
+      timeout: 30000,
+      retries: 1,
+      guardInput: true,
+      run: async (ctx) => {
+        // Hide overlay temporarily so dropdown is visible
+        hideLoadingOverlay();
+        showTypingOverlay();
+        
+        // A Gemini SPA navigation can swap the composer out from under us
+        if (!ctx.inputArea?.isConnected) {
+          ctx.inputArea = await waitForGeminiReady();
+        }
+        
+        log.debug('Typing @SynthID query...');
+        if (!(await typeSynthIDQuery(ctx.inputArea, expandPromptTemplate(getActivePrompt(settings), ctx.job)))) {
+          throw new CheckError(ERROR_CODES.TOOL_NOT_FOUND);
+        }
+        log.debug('Query typed successfully');
+      },
+      recover: (ctx) => clearComposer(ctx.inputArea),
+      // Without the tool Gemini answers a plain prompt, so the send step leaves sending to the user
+      fallback: (ctx, error) => {
+        if (error.code !== ERROR_CODES.TOOL_NOT_FOUND) throw error;
+        log.warn("Continuing without the @SynthID tool attached; won't auto-send");
+        ctx.toolMissing = true;
+      }
+    },
     
-    await delay(800);
-    console.log(`${LOG_PREFIX} Step 4: Auto-sending message...`);
-    const sendSuccess = await clickSendButton();
+    [CHECK_STATES.UPLOAD]: {
+      timeout: MENU_TIMEOUT + UPLOAD_TIMEOUT + 2000,
+      retries: UPLOAD_METHODS.length - 1, // Each retry moves on to the next method
+      guardInput: true,
+      run: async (ctx, attempt) => {
+        hideTypingOverlay();
+        showUploadingOverlay();
+        
+        if (!(await uploadImageToGemini(ctx.inputArea, ctx.imageBlob, ctx.job.imageUrl, ctx.job.fileName, attempt))) {
+          throw new CheckError(ERROR_CODES.UPLOAD_REJECTED, `via ${UPLOAD_METHODS[attempt].name}`);
+        }
+        log.info('Image upload confirmed!');
+      },
+      // Take off what the failed attempt attached (e.g. one that didn't match the
+      // image), so it isn't sent alongside the next method's upload
+      recover: async (ctx) => {
+        if (!(await removeComposerAttachments(ctx.inputArea))) {
+          throw new CheckError(ERROR_CODES.UPLOAD_REJECTED, "couldn't remove a failed attachment");
+        }
+      }
+    },
     
-    // All done!
-    hideSendingOverlay();
+    [CHECK_STATES.SEND]: {
+      timeout: MENU_TIMEOUT * 2,
+      retries: 1,
+      guardInput: true,
+      run: async (ctx) => {
+        hideUploadingOverlay();
+        showSendingOverlay();
+        ctx.responsesBefore = getModelResponses().length;
+        
+        if (!settings.autoSend) {
+          log.info('Auto-send is off, leaving it to the user');
+          hideSendingOverlay();
+          showReviewBeforeSendPrompt();
+          return;
+        }
+        
+        if (ctx.toolMissing) {
+          log.info('Not auto-sending without the @SynthID tool');
+          hideSendingOverlay();
+          showToolMissingPrompt();
+          return;
+        }
+        
+        log.info('Auto-sending message...');
+        ctx.sent = await clickSendButton();
+        if (!ctx.sent) {
+          throw new CheckError(ERROR_CODES.SEND_BUTTON_MISSING);
+        }
+        hideSendingOverlay();
+        showCompletionAnimation();
+      },
+      // Leave sending to the user and still wait for the answer
+      fallback: () => {
+        hideSendingOverlay();
+        showManualSendPrompt();
+      }
+    },
     
-    if (sendSuccess) {
-      showCompletionAnimation();
-    } else {
-      // Show manual send prompt if auto-send failed
-      showManualSendPrompt();
+    [CHECK_STATES.ANSWER]: {
+      timeout: settings.responseTimeout + 5000,
+      retries: 0,
+      run: async (ctx) => {
+        log.debug("Waiting for Gemini's answer...");
+        const answerText = await waitForSynthIdAnswer(ctx.responsesBefore);
+        
+        // @SynthID was missing and nothing came back: report that, with its remedy
+        if (!answerText && ctx.toolMissing) {
+          throw new CheckError(ERROR_CODES.TOOL_NOT_FOUND);
+        }
+        
+        // Auto-send was off or the Send button wasn't found,
+        // and the user didn't send the question themselves either
+        if (!answerText && !ctx.sent) {
+          throw new CheckError(ERROR_CODES.NOT_SENT);
+        }
+        
+        // Without @SynthID, Gemini's answer isn't a watermark check
+        const verdict = ctx.toolMissing ? VERDICTS.INCONCLUSIVE : classifyVerdict(answerText);
+        log.info('Verdict:', verdict);
+        
+        showVerdictToast(verdict);
+        ctx.answer = { verdict, answerText };
+      }
     }
-    
-    // Notify background script
-    chrome.runtime.sendMessage({ type: "CHECK_COMPLETE", success: true });
-    
-  } catch (error) {
-    console.error(`${LOG_PREFIX} Error:`, error);
+  };
+}
+
+/**
+ * Look the image up in the history and, if it was checked before, let the user
+ * reuse that verdict. Returns DONE if they did.
+ */
+async function offerPreviousVerdict(ctx) {
+  const { job, imageBlob } = ctx;
+  const sha256 = await sha256Hex(imageBlob);
+  const phash = await perceptualHash(imageBlob);
+  const matches = await lookupImageHash(job.id, sha256, phash);
+  
+  // Byte-identical beats visually similar
+  const previousCheck = matches?.exact || matches?.similar[0]?.job || null;
+  if (!previousCheck || job.force || ctx.skipLookup) return;
+  
+  log.info(`Image already checked in job ${previousCheck.id}:`, previousCheck.verdict,
+              matches.exact ? '(exact)' : `(${Math.round(matches.similar[0].similarity * 100)}% similar)`);
+  hideLoadingOverlay();
+  
+  // Nobody can answer the prompt in a hidden tab: reuse an exact match's
+  // verdict (History can still re-run it), but check a merely similar image
+  let choice;
+  if (document.hidden) {
+    choice = matches.exact ? 'use-previous' : 'check-again';
+  } else {
+    choice = await showPreviousVerdictPrompt(matches);
+  }
+  if (choice === 'check-again') {
+    log.debug('Checking again anyway');
+    showLoadingOverlay();
+    return;
+  }
+  
+  chrome.runtime.sendMessage({
+    type: "CHECK_COMPLETE",
+    jobId: job.id,
+    success: true,
+    sent: false,
+    cachedFrom: previousCheck.id,
+    similarity: matches.exact ? 1 : matches.similar[0].similarity,
+    verdict: previousCheck.verdict,
+    answerText: previousCheck.answerText,
+    conversationUrl: previousCheck.conversationUrl,
+    timings: stepTimings
+  });
+  
+  if (choice === 'open-previous') {
+    window.location.assign(previousCheck.conversationUrl);
+  }
+  return CHECK_STATES.DONE;
+}
+
+/**
+ * Get the user's draft out of the way before typing the query.
+ * Attachments can't be put back reliably, so a draft with any is left alone
+ * and the job moves to a new tab. Text is stashed and put back by restoreDraft().
+ * A reused tab then switches to a fresh chat, so the check doesn't land in
+ * whatever conversation was open.
+ */
+async function setAsideDraft(ctx) {
+  const text = ctx.inputArea.innerText.trim();
+  const attachments = findComposerAttachments(ctx.inputArea).length;
+  
+  if (attachments > 0) {
+    log.info(`Draft has ${attachments} attachment(s); moving the check to a new tab`);
     hideLoadingOverlay();
-    showErrorMessage(error.message);
-    chrome.runtime.sendMessage({ type: "CHECK_ERROR", error: error.message });
+    showDraftKeptMessage();
+    chrome.runtime.sendMessage({ type: "MOVE_JOB", jobId: ctx.job.id });
+    return CHECK_STATES.DONE;
   }
-})();
+  
+  if (text) {
+    log.debug(`Setting aside the user's draft (${text.length} chars)`);
+    sessionStorage.setItem(DRAFT_KEY, JSON.stringify({ text, url: window.location.href }));
+    clearComposer(ctx.inputArea);
+  }
+  
+  // Don't mix the check into whatever conversation the reused tab has open
+  if (ctx.freshChat) {
+    if (!(await startNewChat())) {
+      // Navigating instead: wait for the unload, the reloaded content script resumes the job
+      await new Promise(() => {});
+    }
+    ctx.inputArea = await waitForGeminiReady();
+  }
+}
 
 /**
- * Get pending image from background script
+ * Put the draft stashed by setAsideDraft() back into the input, but only in
+ * the chat it was typed in: a reused tab runs the check in a fresh chat, and
+ * the draft doesn't belong in that thread. notify tells the user where a
+ * draft that stays stashed will come back.
+ * Waits for a later check if the input isn't empty (e.g. the question was never sent)
  */
-function getPendingImage() {
+function restoreDraft({ notify = false } = {}) {
+  const draft = getStashedDraft();
+  if (!draft) return;
+  
+  if (!isDraftHome(draft.url)) {
+    log.debug("Not in the draft's chat, keeping it stashed");
+    if (notify) showDraftElsewhereMessage(draft.url);
+    return;
+  }
+  
+  const inputArea = findReadyInput();
+  if (!inputArea || inputArea.innerText.trim()) {
+    log.debug("Input isn't free, keeping the stashed draft for later");
+    return;
+  }
+  
+  insertText(inputArea, draft.text);
+  sessionStorage.removeItem(DRAFT_KEY);
+  log.debug("Restored the user's draft");
+}
+
+function getStashedDraft() {
+  const stored = sessionStorage.getItem(DRAFT_KEY);
+  if (!stored) return null;
+  
+  try {
+    return JSON.parse(stored);
+  } catch (e) {
+    // Plain text stashed by an earlier version, before drafts kept their chat
+    return { text: stored, url: window.location.href };
+  }
+}
+
+/**
+ * Whether the current page is where a draft typed at url belongs.
+ * A draft typed in a new chat (/app) had no conversation yet, so any new chat will do.
+ */
+function isDraftHome(url) {
+  const draftPath = new URL(url).pathname;
+  return window.location.pathname === draftPath;
+}
+
+/**
+ * Find the composer box around Gemini's input: the text, attachments and buttons
+ */
+function findComposer(inputArea) {
+  return closestBySelectors('composer', inputArea) || inputArea.parentElement?.parentElement || inputArea;
+}
+
+/**
+ * Attachment previews in the composer (not images elsewhere in the conversation)
+ * Outermost matches only, so a preview and the <img> inside it count once.
+ */
+function findComposerAttachments(inputArea) {
+  const attachmentSelector = selectorList('attachment');
+  
+  return Array.from(findComposer(inputArea).querySelectorAll(attachmentSelector))
+    .filter(el => !el.parentElement.closest(attachmentSelector));
+}
+
+/**
+ * Claim this tab's queued job from the background script. Not named claimJob,
+ * which jobs.js defines and the image picker can load into this same world.
+ */
+function requestJob() {
   return new Promise((resolve) => {
-    chrome.runtime.sendMessage({ type: "GET_PENDING_IMAGE" }, (response) => {
+    chrome.runtime.sendMessage({ type: "CLAIM_JOB" }, (response) => {
       resolve(response);
     });
   });
 }
 
+/**
+ * Ask the background script whether the side panel is open to follow the check
+ */
+function isSidePanelOpen() {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: "IS_SIDE_PANEL_OPEN" }, (response) => {
+      resolve(Boolean(response));
+    });
+  });
+}
+
+/**
+ * Start a fresh chat in a reused tab without reloading the page
+ * Returns false if it had to fall back to navigating
+ */
+async function startNewChat() {
+  const inputArea = findInputArea();
+  
+  // /app with an empty input is already a new chat; conversations live at /app/<id>
+  if (window.location.pathname === '/app' && inputArea && !inputArea.textContent.trim()) {
+    log.debug('Already on a new chat');
+    return true;
+  }
+  
+  const button = findBySelectors('newChatButton', { filter: el => el.offsetParent !== null });
+  if (button) {
+    log.debug('Starting new chat');
+    button.click();
+    await waitForCondition(() => window.location.pathname === '/app' && findInputArea());
+    return true;
+  }
+  
+  log.debug('No New chat button found, navigating to a new chat');
+  window.location.assign('https://gemini.google.com/app');
+  return false;
+}
+
 /**
  * Check if user is signed in to Gemini
  * Returns true if signed in, false otherwise
  */
 async function checkGeminiSignIn() {
-  // Wait for page to settle
-  await delay(2000);
+  log.debug('Current URL:', window.location.href);
+  
+  // Decide as soon as the page shows either state, re-checking as it renders
+  const state = await waitForCondition(() => {
+    const signedIn = detectSignInState();
+    return signedIn === null ? null : { signedIn };
+  }, { timeout: SIGN_IN_TIMEOUT, minInterval: 250 });
   
-  // Check if we're on a sign-in or authentication page
-  const currentUrl = window.location.href;
-  console.log(`${LOG_PREFIX} Current URL:`, currentUrl);
+  if (state) {
+    return state.signedIn;
+  }
   
+  log.debug('No definitive sign-in status, checking the header...');
+  
+  // Final check: Look for any profile-related element in the header area
+  const headerArea = findBySelectors('header');
+  if (headerArea) {
+    const hasProfile = findBySelectors('headerProfile', { root: headerArea });
+    if (hasProfile) {
+      log.debug('Final check: Found profile in header - user IS signed in');
+      return true;
+    }
+    
+    const hasSignIn = findBySelectors('signInButton', {
+      root: headerArea,
+      filter: el => el.textContent?.trim() === 'Sign in'
+    });
+    if (hasSignIn) {
+      log.debug('Final check: Found Sign in in header - user is NOT signed in');
+      return false;
+    }
+  }
+  
+  // Default: If we can't determine, assume NOT signed in (safer to prompt user)
+  log.warn('Could not confirm sign-in status, assuming not signed in');
+  return false;
+}
+
+/**
+ * Look for signs of being signed in or out on the page as it is now
+ * Returns true or false, or null if the page doesn't say yet
+ */
+function detectSignInState() {
   // If redirected to accounts.google.com, definitely not signed in
-  if (currentUrl.includes('accounts.google.com')) {
-    console.log(`${LOG_PREFIX} Detected redirect to Google accounts - not signed in`);
+  if (window.location.href.includes('accounts.google.com')) {
+    log.debug('Detected redirect to Google accounts - not signed in');
     return false;
   }
   
   // PRIORITY CHECK: Look for user avatar/profile picture FIRST (strongest indicator of signed in)
   // This appears in the top-right corner when signed in
-  const avatarSelectors = [
-    'img[src*="googleusercontent.com"]',
-    '[aria-label*="Google Account" i]',
-    'button[aria-label*="Account" i]',
-    '[data-ogsr-alt]', // Google profile images often have this
-    'img[alt*="Profile" i]',
-    'img[alt*="Account" i]'
-  ];
-  
-  for (const selector of avatarSelectors) {
-    try {
-      const element = document.querySelector(selector);
-      if (element && element.offsetParent !== null) {
-        console.log(`${LOG_PREFIX} Found user avatar - user IS signed in:`, selector);
-        return true;
-      }
-    } catch (e) {}
+  const avatar = findBySelectors('avatar', { filter: el => el.offsetParent !== null });
+  if (avatar) {
+    log.debug('Found user avatar - user IS signed in:', avatar);
+    return true;
   }
   
   // CRITICAL: Look for visible "Sign in" button - this is the PRIMARY indicator of NOT being signed in
-  // Search all links and buttons for "Sign in" text
-  const allClickables = document.querySelectorAll('a, button');
-  for (const el of allClickables) {
-    const text = el.textContent?.trim() || '';
-    const ariaLabel = el.getAttribute('aria-label') || '';
-    const isVisible = el.offsetParent !== null;
-    const rect = el.getBoundingClientRect();
-    
-    // Check if this is a prominent "Sign in" button (not a small link in footer)
-    if (isVisible && rect.width > 50 && rect.height > 20) {
-      if (text === 'Sign in' || ariaLabel.toLowerCase() === 'sign in') {
-        console.log(`${LOG_PREFIX} Found prominent "Sign in" button - user is NOT signed in:`, el);
-        return false;
-      }
+  // Only a prominent one counts, not a small link in the footer
+  const signInButton = findBySelectors('signInButton', {
+    filter: el => {
+      const text = el.textContent?.trim() || '';
+      const ariaLabel = el.getAttribute('aria-label') || '';
+      const rect = el.getBoundingClientRect();
+      return el.offsetParent !== null && rect.width > 50 && rect.height > 20 &&
+             (text === 'Sign in' || ariaLabel.toLowerCase() === 'sign in');
     }
+  });
+  if (signInButton) {
+    log.debug('Found prominent "Sign in" button - user is NOT signed in:', signInButton);
+    return false;
   }
   
   // Check for "Sign in to try" banner (Gemini shows this when not logged in)
   const pageText = document.body.innerText || '';
   if (pageText.includes('Sign in to try') || pageText.includes('Sign in to continue')) {
-    console.log(`${LOG_PREFIX} Found "Sign in to try" banner - user is NOT signed in`);
+    log.debug('Found "Sign in to try" banner - user is NOT signed in');
     return false;
   }
   
   // Look for other sign-in indicators
-  const signInIndicators = [
-    'a[href*="accounts.google.com"]',
-    'button[data-signin]',
-    '[data-idom-class*="sign-in"]',
-  ];
-  
-  for (const selector of signInIndicators) {
-    try {
-      const element = document.querySelector(selector);
-      if (element && element.offsetParent !== null) {
-        const text = element.textContent?.toLowerCase() || '';
-        if (text.includes('sign in') || text.includes('log in')) {
-          console.log(`${LOG_PREFIX} Found sign-in indicator:`, selector, element);
-          return false;
-        }
-      }
-    } catch (e) {}
+  const signInIndicator = findBySelectors('signInIndicator', {
+    filter: el => {
+      const text = el.textContent?.toLowerCase() || '';
+      return el.offsetParent !== null && (text.includes('sign in') || text.includes('log in'));
+    }
+  });
+  if (signInIndicator) {
+    log.debug('Found sign-in indicator:', signInIndicator);
+    return false;
   }
   
   // Additional text-based sign-in prompts
@@ -233,53 +831,27 @@ async function checkGeminiSignIn() {
   
   for (const phrase of signInPhrases) {
     if (pageText.toLowerCase().includes(phrase)) {
-      console.log(`${LOG_PREFIX} Found sign-in phrase in page:`, phrase);
+      log.debug('Found sign-in phrase in page:', phrase);
       return false;
     }
   }
   
   // If no sign-in buttons found, check for rich chat input (indicates signed-in experience)
   // Note: Basic input may show even when not signed in, so we look for the RICH textarea
-  const richInput = document.querySelector('rich-textarea');
+  const richInput = findBySelectors('richInput');
   if (richInput) {
     // Rich textarea exists - check if there's also NO sign-in button visible anywhere
-    const hasSignInAnywhere = Array.from(document.querySelectorAll('*')).some(el => {
-      const text = el.textContent?.trim();
-      return text === 'Sign in' && el.offsetParent !== null;
+    const hasSignInAnywhere = findBySelectors('signInButton', {
+      filter: el => el.textContent?.trim() === 'Sign in' && el.offsetParent !== null
     });
     
     if (!hasSignInAnywhere) {
-      console.log(`${LOG_PREFIX} Found rich-textarea and no Sign in button - user IS signed in`);
+      log.debug('Found rich-textarea and no Sign in button - user IS signed in');
       return true;
     }
   }
   
-  // Wait a bit more and do final check
-  console.log(`${LOG_PREFIX} No definitive sign-in status, waiting longer...`);
-  await delay(2000);
-  
-  // Final check: Look for any profile-related element in the header area
-  const headerArea = document.querySelector('header') || document.querySelector('[role="banner"]');
-  if (headerArea) {
-    const hasProfile = headerArea.querySelector('img[src*="googleusercontent"]') || 
-                       headerArea.querySelector('[aria-label*="Account" i]');
-    if (hasProfile) {
-      console.log(`${LOG_PREFIX} Final check: Found profile in header - user IS signed in`);
-      return true;
-    }
-    
-    const hasSignIn = Array.from(headerArea.querySelectorAll('a, button')).some(el => 
-      el.textContent?.trim() === 'Sign in'
-    );
-    if (hasSignIn) {
-      console.log(`${LOG_PREFIX} Final check: Found Sign in in header - user is NOT signed in`);
-      return false;
-    }
-  }
-  
-  // Default: If we can't determine, assume NOT signed in (safer to prompt user)
-  console.log(`${LOG_PREFIX} Could not confirm sign-in status, assuming not signed in`);
-  return false;
+  return null;
 }
 
 /**
@@ -372,12 +944,12 @@ function showSignInRequiredMessage() {
         How to sign in
       </div>
       <ol style="margin: 0; padding-left: 20px; color: ${colors.instructionsText}; font-size: 15px; line-height: 1.8;">
-        <li>Click the <strong style="color: ${colors.textStrong};">Sign in</strong> button on this page</li>
+        <li>Click <strong style="color: ${colors.textStrong};">Sign in to Gemini</strong> below</li>
         <li>Use your Google account</li>
         <li>Then <strong style="color: ${colors.textStrong};">right-click the image again</strong></li>
       </ol>
     </div>
-    <button id="synthid-signin-close" style="
+    <button id="synthid-signin-action" style="
       background: ${colors.accent};
       color: #1a1a1a;
       border: none;
@@ -389,7 +961,19 @@ function showSignInRequiredMessage() {
       font-family: inherit;
       transition: transform 0.15s ease;
     ">
-      Got it
+      ${ERROR_CATALOG[ERROR_CODES.NOT_SIGNED_IN].action.label}
+    </button>
+    <button id="synthid-signin-close" style="
+      display: block;
+      margin: 16px auto 0;
+      background: none;
+      border: none;
+      color: ${colors.textColor};
+      font-size: 15px;
+      cursor: pointer;
+      font-family: inherit;
+    ">
+      Not now
     </button>
   `;
   
@@ -397,7 +981,7 @@ function showSignInRequiredMessage() {
   document.body.appendChild(overlay);
   
   // Add hover effect
-  const button = document.getElementById('synthid-signin-close');
+  const button = document.getElementById('synthid-signin-action');
   button.addEventListener('mouseenter', () => {
     button.style.transform = 'scale(1.03)';
   });
@@ -406,7 +990,11 @@ function showSignInRequiredMessage() {
   });
   
   // Add click handlers
-  button.addEventListener('click', () => overlay.remove());
+  button.addEventListener('click', () => {
+    overlay.remove();
+    runErrorAction(ERROR_ACTIONS.SIGN_IN);
+  });
+  document.getElementById('synthid-signin-close').addEventListener('click', () => overlay.remove());
   overlay.addEventListener('click', (e) => {
     if (e.target === overlay) overlay.remove();
   });
@@ -416,11 +1004,9 @@ function showSignInRequiredMessage() {
  * Wait for Gemini's chat interface to be ready
  */
 async function waitForGeminiReady() {
-  const startTime = Date.now();
-  
   // First, wait for document to be fully loaded
   if (document.readyState !== 'complete') {
-    console.log(`${LOG_PREFIX} Waiting for document to load...`);
+    log.debug('Waiting for document to load...');
     await new Promise(resolve => {
       window.addEventListener('load', resolve, { once: true });
       // Fallback in case load already fired
@@ -428,91 +1014,109 @@ async function waitForGeminiReady() {
     });
   }
   
-  // Give the app time to hydrate
-  await delay(2000);
-  
-  console.log(`${LOG_PREFIX} Document ready, looking for input area...`);
+  log.debug('Document ready, looking for input area...');
   
-  while (Date.now() - startTime < MAX_WAIT_TIME) {
-    // Debug: Log all contenteditable elements periodically
-    const allEditable = document.querySelectorAll('[contenteditable="true"]');
-    if (allEditable.length > 0) {
-      console.log(`${LOG_PREFIX} Found ${allEditable.length} contenteditable elements`);
-      
-      // Try to find the main input - usually it's in the lower part of the page
-      // and has certain characteristics
-      for (const el of allEditable) {
-        // Skip tiny elements or hidden ones
-        const rect = el.getBoundingClientRect();
-        if (rect.width > 100 && rect.height > 20) {
-          console.log(`${LOG_PREFIX} Found suitable input:`, el, 'rect:', rect);
-          return el;
-        }
-      }
-    }
-    
-    // Also try specific selectors
-    const inputArea = findInputArea();
-    if (inputArea) {
-      const rect = inputArea.getBoundingClientRect();
-      console.log(`${LOG_PREFIX} Found input via selector:`, inputArea, 'rect:', rect);
-      return inputArea;
-    }
-    
-    await delay(POLL_INTERVAL);
+  const inputArea = await waitForCondition(findReadyInput);
+  if (inputArea) {
+    log.debug('Found input area:', inputArea, 'rect:', inputArea.getBoundingClientRect());
+    return inputArea;
   }
   
   // Final debug info
-  console.log(`${LOG_PREFIX} TIMEOUT - Debug info:`);
-  console.log(`${LOG_PREFIX} - URL:`, window.location.href);
-  console.log(`${LOG_PREFIX} - contenteditable elements:`, document.querySelectorAll('[contenteditable]'));
-  console.log(`${LOG_PREFIX} - body innerHTML length:`, document.body.innerHTML.length);
+  log.warn('TIMEOUT - Debug info:');
+  log.debug('- URL:', window.location.href);
+  log.debug('- contenteditable elements:', document.querySelectorAll('[contenteditable]'));
+  log.debug('- body innerHTML length:', document.body.innerHTML.length);
+  
+  throw new CheckError(ERROR_CODES.GEMINI_NOT_READY);
+}
+
+/**
+ * Find the chat input once it's rendered at a usable size
+ */
+function findReadyInput() {
+  // The main input is the first editable element big enough to type in
+  const editable = findBySelectors('editableInput', {
+    filter: el => {
+      const rect = el.getBoundingClientRect();
+      return rect.width > 100 && rect.height > 20;
+    }
+  });
   
-  throw new Error("Gemini took too long to load. Please refresh and try again.");
+  // Also try specific selectors
+  return editable || findInputArea();
 }
 
 /**
  * Fetch image from URL and return as Blob
  */
 async function fetchImage(imageUrl) {
-  console.log(`${LOG_PREFIX} Attempting to fetch image:`, imageUrl);
+  log.debug('Attempting to fetch image:', imageUrl);
+  
+  // Last HTTP status seen; none at all means the request was blocked outright (CORS)
+  let httpStatus = null;
   
   // First, try fetching via background script (has more permissions)
   try {
-    console.log(`${LOG_PREFIX} Trying background script fetch...`);
+    log.debug('Trying background script fetch...');
     const result = await fetchImageViaBackground(imageUrl);
     if (result && result.success) {
-      console.log(`${LOG_PREFIX} Background fetch successful, converting to blob...`);
-      // Convert base64 to blob
-      const response = await fetch(result.dataUrl);
-      return await response.blob();
+      log.debug('Background fetch successful, converting to blob...');
+      return await dataUrlToBlob(result.dataUrl);
     }
-    console.log(`${LOG_PREFIX} Background fetch failed:`, result?.error);
+    log.debug('Background fetch failed:', result?.error);
+    httpStatus = result?.status || httpStatus;
   } catch (bgError) {
-    console.log(`${LOG_PREFIX} Background fetch error:`, bgError);
+    log.debug('Background fetch error:', bgError);
   }
   
   // Fallback: try direct fetch from content script
   try {
-    console.log(`${LOG_PREFIX} Trying direct CORS fetch...`);
+    log.debug('Trying direct CORS fetch...');
     const response = await fetch(imageUrl, {
       mode: 'cors',
       credentials: 'omit'
     });
     
     if (!response.ok) {
-      console.log(`${LOG_PREFIX} Direct fetch failed with status:`, response.status);
+      log.debug('Direct fetch failed with status:', response.status);
+      httpStatus = response.status;
       throw new Error(`Failed to fetch image: ${response.status}`);
     }
     
-    console.log(`${LOG_PREFIX} Direct fetch successful`);
+    log.debug('Direct fetch successful');
     return await response.blob();
   } catch (error) {
-    console.log(`${LOG_PREFIX} Direct fetch error:`, error.message);
+    log.debug('Direct fetch error:', error.message);
   }
   
   // If all else fails
-  throw new Error("Could not download this image. It may be protected. Try saving the image first, then uploading manually to Gemini.");
+  if (httpStatus === 403) {
+    throw new CheckError(ERROR_CODES.HTTP_403);
+  }
+  throw httpStatus
+    ? new CheckError(ERROR_CODES.FETCH_FAILED, `HTTP ${httpStatus}`)
+    : new CheckError(ERROR_CODES.FETCH_CORS);
+}
+
+/**
+ * Convert a base64 data URL (from the background or the source page) to a Blob
+ */
+async function dataUrlToBlob(dataUrl) {
+  const response = await fetch(dataUrl);
+  return await response.blob();
+}
+
+/**
+ * Record the image's hashes on the job and get earlier verdicts for the same picture
+ * Resolves { exact: job|null, similar: [{ job, similarity }] }
+ */
+function lookupImageHash(jobId, sha256, phash) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: "LOOKUP_IMAGE_HASH", jobId, sha256, phash }, (response) => {
+      resolve(chrome.runtime.lastError ? null : response);
+    });
+  });
 }
 
 /**
@@ -524,7 +1128,7 @@ function fetchImageViaBackground(imageUrl) {
       { type: "FETCH_IMAGE", imageUrl: imageUrl },
       (response) => {
         if (chrome.runtime.lastError) {
-          console.log(`${LOG_PREFIX} Background message error:`, chrome.runtime.lastError);
+          log.warn('Background message error:', chrome.runtime.lastError);
           resolve({ success: false, error: chrome.runtime.lastError.message });
         } else {
           resolve(response);
@@ -534,64 +1138,94 @@ function fetchImageViaBackground(imageUrl) {
   });
 }
 
+// Share of dHash bits (see imagehash.js) a square thumbnail must share with the
+// image's center square; a little looser than for history matches, since
+// Gemini's crop needn't be exactly centered
+const MIN_THUMBNAIL_SIMILARITY = 0.75;
+
+// Ways to attach the image, tried in order until Gemini shows it
+const UPLOAD_METHODS = [
+  { name: "file input", upload: uploadViaFileInput },
+  { name: "clipboard paste", upload: uploadViaPaste },
+  { name: "drag-drop", upload: simulateDragDropUpload }
+];
+
 /**
- * Upload image to Gemini's chat interface
+ * Upload image to Gemini's chat interface with one of UPLOAD_METHODS
+ * Returns true once a new attachment shows up in the composer and looks like our image
  */
-async function uploadImageToGemini(imageBlob, originalUrl) {
+async function uploadImageToGemini(inputArea, imageBlob, originalUrl, fileName, methodIndex) {
   // Create a File object from the blob
-  const fileName = getFileNameFromUrl(originalUrl) || "image.png";
   const mimeType = imageBlob.type || "image/png";
+  fileName = fileName || getFileNameFromUrl(originalUrl) || `image.${mimeType.split('/')[1].split('+')[0]}`;
   const file = new File([imageBlob], fileName, { type: mimeType });
+  const method = UPLOAD_METHODS[methodIndex];
   
-  console.log(`${LOG_PREFIX} Uploading image:`, fileName, 'type:', mimeType, 'size:', file.size);
-  
-  // Method 1: Try clicking the "+" button to open upload menu
-  console.log(`${LOG_PREFIX} Looking for add/upload button...`);
-  const addButtonSelectors = [
-    'button[aria-label*="Add"]',
-    'button[aria-label*="add"]', 
-    'button[aria-label*="Upload"]',
-    'button[aria-label*="upload"]',
-    'button[aria-label*="Attach"]',
-    '[data-tooltip*="Add"]',
-    '[data-tooltip*="Upload"]',
-    '.input-area button',
-    // The + button in Gemini's input area
-    'button:has(svg)',
-  ];
+  log.debug(`Uploading image via ${method.name}:`, fileName, 'type:', mimeType, 'size:', file.size);
   
-  let addButton = null;
-  for (const selector of addButtonSelectors) {
-    try {
-      const buttons = document.querySelectorAll(selector);
-      console.log(`${LOG_PREFIX} Selector "${selector}" found ${buttons.length} elements`);
-      for (const btn of buttons) {
-        const rect = btn.getBoundingClientRect();
-        // Look for buttons in the lower part of the screen (input area)
-        if (rect.bottom > window.innerHeight - 300 && rect.width > 20) {
-          console.log(`${LOG_PREFIX} Found potential add button:`, btn, 'aria-label:', btn.getAttribute('aria-label'));
-          addButton = btn;
-          break;
-        }
-      }
-      if (addButton) break;
-    } catch (e) {
-      // :has() selector might not be supported
+  // Only an attachment that wasn't there before counts as ours
+  const before = findComposerAttachments(inputArea);
+  const findNewAttachment = () => checkForUploadedImage(inputArea, before);
+  
+  const attachment = await method.upload(file, findNewAttachment);
+  if (!attachment) {
+    log.warn(`No new attachment in the composer after ${method.name}`);
+    return false;
+  }
+  return await verifyAttachment(attachment, file);
+}
+
+/**
+ * Remove every attachment from the composer with its remove button.
+ * A check only runs with no attachments of the user's in the composer (see
+ * setAsideDraft), so any there are its own. Returns true once none are left.
+ */
+async function removeComposerAttachments(inputArea) {
+  const composer = findComposer(inputArea);
+  const attachments = findComposerAttachments(inputArea);
+  if (attachments.length === 0) return true;
+  
+  for (const attachment of attachments) {
+    // The button sits beside the thumbnail, in some wrapper between it and the composer
+    let button = null;
+    for (let el = attachment; el && el !== composer && !button; el = el.parentElement) {
+      button = findBySelectors('attachmentRemoveButton', { root: el });
+    }
+    
+    if (button) {
+      button.click();
+    } else {
+      log.warn('No remove button found for an attachment');
     }
   }
   
+  const removed = await waitForCondition(() => findComposerAttachments(inputArea).length === 0, { timeout: UPLOAD_TIMEOUT });
+  log.debug(removed ? `Removed ${attachments.length} attachment(s)` : "Couldn't remove every attachment");
+  return Boolean(removed);
+}
+
+/**
+ * Upload through Gemini's file input, opening the "+" menu first if needed
+ * Like every upload method, resolves with the new attachment element or null
+ */
+async function uploadViaFileInput(file, findNewAttachment) {
+  // Try clicking the "+" button to open upload menu
+  log.debug('Looking for add/upload button...');
+  const addButton = findAddButton();
+  
   if (addButton) {
-    console.log(`${LOG_PREFIX} Clicking add button...`);
+    log.debug('Clicking add button:', addButton, 'aria-label:', addButton.getAttribute('aria-label'));
     addButton.click();
-    await delay(800);
   }
   
-  // Method 2: Look for file input (may appear after clicking add button)
-  let fileInput = document.querySelector('input[type="file"]');
-  console.log(`${LOG_PREFIX} File input found:`, !!fileInput);
+  // Look for file input (may appear after clicking add button)
+  const fileInput = addButton
+    ? await waitForCondition(() => findBySelectors('fileInput'), { timeout: MENU_TIMEOUT })
+    : findBySelectors('fileInput');
+  log.debug('File input found:', !!fileInput);
   
   if (fileInput) {
-    console.log(`${LOG_PREFIX} Using file input method...`);
+    log.debug('Using file input method...');
     const dataTransfer = new DataTransfer();
     dataTransfer.items.add(file);
     fileInput.files = dataTransfer.files;
@@ -600,69 +1234,140 @@ async function uploadImageToGemini(imageBlob, originalUrl) {
     fileInput.dispatchEvent(new Event('change', { bubbles: true }));
     fileInput.dispatchEvent(new Event('input', { bubbles: true }));
     
-    console.log(`${LOG_PREFIX} File input updated, waiting for processing...`);
-    await delay(2000);
-    
-    // Check if image appeared
-    const hasImage = checkForUploadedImage();
-    if (hasImage) {
-      console.log(`${LOG_PREFIX} Image upload confirmed!`);
-      return;
-    }
-    console.log(`${LOG_PREFIX} Image not detected after file input, trying other methods...`);
+    log.debug('File input updated, waiting for processing...');
+    return await waitForCondition(findNewAttachment, { timeout: UPLOAD_TIMEOUT });
   }
   
-  // Method 3: Try clipboard paste
-  console.log(`${LOG_PREFIX} Trying clipboard paste method...`);
+  return null;
+}
+
+/**
+ * Find Gemini's "+" (add files) button, among the buttons around the input
+ */
+function findAddButton() {
+  const inputArea = findInputArea();
+  if (!inputArea) return null;
+  
+  return findBySelectors('addButton', {
+    filter: btn => btn.getBoundingClientRect().width > 20 && isNearInput(btn, inputArea)
+  });
+}
+
+/**
+ * Whether an element is in the composer or level with the input.
+ * Measured from the input, not the window: the window's size means nothing
+ * when Gemini runs in a background tab or a minimized window.
+ */
+function isNearInput(element, inputArea) {
+  if (findComposer(inputArea).contains(element)) return true;
+  
+  const rect = element.getBoundingClientRect();
+  const inputRect = inputArea.getBoundingClientRect();
+  return rect.bottom >= inputRect.top - 100 && rect.top <= inputRect.bottom + 100;
+}
+
+/**
+ * Upload by pasting the image into the input
+ */
+async function uploadViaPaste(file, findNewAttachment) {
   try {
     await pasteImageFromClipboard(file);
-    await delay(2000);
-    
-    const hasImage = checkForUploadedImage();
-    if (hasImage) {
-      console.log(`${LOG_PREFIX} Image upload via clipboard confirmed!`);
-      return;
-    }
+    return await waitForCondition(findNewAttachment, { timeout: UPLOAD_TIMEOUT });
   } catch (clipboardError) {
-    console.log(`${LOG_PREFIX} Clipboard method failed:`, clipboardError.message);
+    log.debug('Clipboard method failed:', clipboardError.message);
+    return null;
   }
+}
+
+/**
+ * Find an attachment in the composer that isn't one of the `before` elements
+ * Images elsewhere on the page (old conversation turns, our overlays) don't count.
+ */
+function checkForUploadedImage(inputArea, before) {
+  const attachments = findComposerAttachments(inputArea);
+  if (attachments.length <= before.length) return null;
   
-  // Method 4: Try drag and drop
-  console.log(`${LOG_PREFIX} Trying drag-drop method...`);
-  await simulateDragDropUpload(file);
-  await delay(2000);
+  const added = attachments.find(el => !before.includes(el));
+  if (added) {
+    log.debug(`New attachment in composer (${before.length} -> ${attachments.length}):`, added);
+  }
+  return added || null;
+}
+
+/**
+ * Check a new attachment is our image: a blob preview of the same bytes, or a
+ * thumbnail with the same shape. Square thumbnails may be crops, so their
+ * content is compared with the image's center square instead.
+ */
+async function verifyAttachment(attachment, file) {
+  const thumbnail = attachment.matches('img') ? attachment : attachment.querySelector('img');
+  if (!thumbnail) {
+    log.debug('Attachment has no thumbnail to compare; trusting the count');
+    return true;
+  }
   
-  const hasImage = checkForUploadedImage();
-  if (hasImage) {
-    console.log(`${LOG_PREFIX} Image upload via drag-drop confirmed!`);
-    return;
+  if (thumbnail.src.startsWith('blob:')) {
+    try {
+      const preview = await (await fetch(thumbnail.src)).blob();
+      if (preview.size === file.size && await sha256Hex(preview) === await sha256Hex(file)) {
+        log.debug('Attachment matches the uploaded file byte for byte');
+        return true;
+      }
+    } catch (e) {
+      // Revoked or cross-context blob URL; fall back to comparing shapes
+    }
   }
   
-  console.log(`${LOG_PREFIX} WARNING: Could not confirm image upload. Proceeding anyway...`);
+  await waitForCondition(() => thumbnail.complete && thumbnail.naturalWidth > 0, { timeout: DROP_TIMEOUT });
+  const image = await createImageBitmap(file).catch(() => null);
+  if (!image || !thumbnail.naturalWidth) {
+    log.debug("Couldn't measure the attachment; trusting the count");
+    return true;
+  }
+  
+  const imageRatio = image.width / image.height;
+  const thumbnailRatio = thumbnail.naturalWidth / thumbnail.naturalHeight;
+  
+  const sameShape = Math.abs(imageRatio / thumbnailRatio - 1) < 0.05;
+  if (sameShape || thumbnailRatio !== 1) {
+    image.close();
+    log.debug(`Attachment shape ${thumbnailRatio.toFixed(2)} vs image ${imageRatio.toFixed(2)}:`, sameShape ? 'match' : 'MISMATCH');
+    return sameShape;
+  }
+  
+  const similarity = await compareWithCenterSquare(thumbnail, image);
+  image.close();
+  if (similarity === null) {
+    log.debug("Couldn't read the square thumbnail's pixels; trusting the count");
+    return true;
+  }
+  
+  const matches = similarity >= MIN_THUMBNAIL_SIMILARITY;
+  log.debug(`Square thumbnail vs image center: ${Math.round(similarity * 100)}% similar:`, matches ? 'match' : 'MISMATCH');
+  return matches;
 }
 
 /**
- * Check if an image has been uploaded to the chat
+ * How alike a square thumbnail and the center square of the image look, from 0
+ * to 1, or null if the thumbnail can't be read (a cross-origin image taints the canvas)
  */
-function checkForUploadedImage() {
-  // Look for image thumbnails or preview elements
-  const imageIndicators = [
-    'img[src*="blob:"]',
-    'img[src*="data:"]',
-    '[data-image]',
-    '.image-preview',
-    '.attachment',
-    '.uploaded-image'
-  ];
+async function compareWithCenterSquare(thumbnail, image) {
+  const side = Math.min(image.width, image.height);
+  const center = new OffscreenCanvas(side, side);
+  center.getContext('2d').drawImage(image, (image.width - side) / 2, (image.height - side) / 2, side, side, 0, 0, side, side);
   
-  for (const selector of imageIndicators) {
-    const el = document.querySelector(selector);
-    if (el) {
-      console.log(`${LOG_PREFIX} Found image indicator:`, selector, el);
-      return true;
-    }
+  const preview = new OffscreenCanvas(thumbnail.naturalWidth, thumbnail.naturalHeight);
+  preview.getContext('2d').drawImage(thumbnail, 0, 0);
+  
+  try {
+    const [centerHash, previewHash] = await Promise.all([
+      center.convertToBlob().then(perceptualHash),
+      preview.convertToBlob().then(perceptualHash)
+    ]);
+    return centerHash && previewHash ? hashSimilarity(centerHash, previewHash) : null;
+  } catch (error) {
+    return null;
   }
-  return false;
 }
 
 /**
@@ -688,25 +1393,25 @@ async function pasteImageFromClipboard(file) {
   inputArea.focus();
   inputArea.dispatchEvent(pasteEvent);
   
-  console.log(`${LOG_PREFIX} Paste event dispatched`);
+  log.debug('Paste event dispatched');
 }
 
 /**
  * Simulate drag and drop upload
+ * Resolves with the new attachment once a drop target takes the image, or null
  */
-async function simulateDragDropUpload(file) {
+async function simulateDragDropUpload(file, findNewAttachment) {
   // Find the drop target - try multiple areas
   const dropTargets = [
     findInputArea(),
-    document.querySelector('.chat-container'),
-    document.querySelector('main'),
+    ...getSelectors('dropTarget').map(selector => document.querySelector(selector)),
     document.body
   ].filter(Boolean);
   
-  console.log(`${LOG_PREFIX} Drag-drop: found ${dropTargets.length} potential drop targets`);
+  log.debug(`Drag-drop: found ${dropTargets.length} potential drop targets`);
   
   for (const dropTarget of dropTargets) {
-    console.log(`${LOG_PREFIX} Trying drag-drop on:`, dropTarget.tagName, dropTarget.className);
+    log.debug('Trying drag-drop on:', dropTarget.tagName, dropTarget.className);
     
     const dataTransfer = new DataTransfer();
     dataTransfer.items.add(file);
@@ -732,145 +1437,168 @@ async function simulateDragDropUpload(file) {
     });
     
     dropTarget.dispatchEvent(dragEnterEvent);
-    await delay(100);
     dropTarget.dispatchEvent(dragOverEvent);
-    await delay(100);
     dropTarget.dispatchEvent(dropEvent);
     
-    await delay(500);
-    
     // Check if it worked
-    if (checkForUploadedImage()) {
-      console.log(`${LOG_PREFIX} Drag-drop successful on:`, dropTarget.tagName);
-      return;
+    const attachment = await waitForCondition(findNewAttachment, { timeout: DROP_TIMEOUT });
+    if (attachment) {
+      log.debug('Drag-drop successful on:', dropTarget.tagName);
+      return attachment;
     }
   }
   
-  console.log(`${LOG_PREFIX} Drag-drop did not result in visible image upload`);
+  log.debug('Drag-drop did not result in visible image upload');
+  return null;
 }
 
 /**
  * Type the @SynthID query into the chat
  * With smart dropdown waiting to fix race condition
+ * Returns whether the @SynthID tool was selected
  */
-async function typeSynthIDQuery(inputArea) {
+async function typeSynthIDQuery(inputArea, question) {
   if (!inputArea) {
     inputArea = findInputArea();
   }
   
   if (!inputArea) {
-    throw new Error("Could not find Gemini's chat input.");
+    throw new CheckError(ERROR_CODES.GEMINI_NOT_READY, "no chat input to type in");
   }
   
-  console.log(`${LOG_PREFIX} === STARTING @SynthID ENTRY ===`);
+  log.debug('=== STARTING @SynthID ENTRY ===');
   
   // Step 1: Focus the input
   inputArea.focus();
   inputArea.click();
-  await delay(300);
-  console.log(`${LOG_PREFIX} Step 1: Focused input`);
+  await waitForCondition(() => inputArea.contains(document.activeElement), { timeout: MENU_TIMEOUT });
+  log.debug('Step 1: Focused input');
   
   // Step 2: Type "@"
   await simulateTyping(inputArea, "@");
-  console.log(`${LOG_PREFIX} Step 2: Typed @`);
+  log.debug('Step 2: Typed @');
   
   // Step 3: Wait for dropdown to appear (KEY FIX!)
-  console.log(`${LOG_PREFIX} Step 3: Waiting for dropdown...`);
+  log.debug('Step 3: Waiting for dropdown...');
   await waitForDropdown();
   
   // Step 4: Type "synthid" to filter dropdown
   await simulateTyping(inputArea, "synthid");
-  console.log(`${LOG_PREFIX} Step 4: Typed synthid`);
+  log.debug('Step 4: Typed synthid');
   
   // Step 5: Wait for dropdown to update with filtered results
-  await delay(300);
-  await waitForDropdown();
-  console.log(`${LOG_PREFIX} Step 5: Dropdown ready`);
+  await waitForDropdown({ text: 'synthid' });
+  log.debug('Step 5: Dropdown ready');
   
-  // Step 6: Press Tab to select from dropdown
-  console.log(`${LOG_PREFIX} Step 6: Pressing Tab...`);
-  pressTab(inputArea);
-  await delay(300);
+  // Step 6: Select SynthID, trusting only the chip Gemini shows for an attached tool
+  const waitForTag = () => waitForCondition(() => checkForSynthIdTag(inputArea), { timeout: DROP_TIMEOUT });
+  let hasTag = false;
   
-  // Check if Tab worked
-  let hasTag = checkForSynthIdTag(inputArea);
-  console.log(`${LOG_PREFIX} Tab selected @SynthID:`, hasTag);
+  for (let attempt = 1; attempt <= 2 && !hasTag; attempt++) {
+    log.debug(`Step 6: Pressing Tab (attempt ${attempt})...`);
+    pressTab(inputArea);
+    hasTag = !!(await waitForTag());
+  }
   
-  // If Tab didn't work, retry once
+  // Tab didn't take: click the option in the still-open dropdown
   if (!hasTag) {
-    console.log(`${LOG_PREFIX} Tab didn't work, retrying...`);
-    await delay(300);
-    pressTab(inputArea);
-    await delay(300);
-    hasTag = checkForSynthIdTag(inputArea);
-    console.log(`${LOG_PREFIX} Retry result:`, hasTag);
+    log.debug("Tab didn't attach the tool, clicking the dropdown option...");
+    hasTag = (await selectSynthIdFromDropdown()) && !!(await waitForTag());
   }
   
-  // Step 7: Type the rest of the question
-  await simulateTyping(inputArea, " is this image real?");
-  console.log(`${LOG_PREFIX} Step 7: Typed question`);
+  // No dropdown option either: drop the raw "@synthid" text and use Gemini's tools menu
+  if (!hasTag) {
+    log.debug("Trying Gemini's tools menu...");
+    clearComposer(inputArea);
+    hasTag = (await selectSynthIdFromToolsMenu(inputArea)) && !!(await waitForTag());
+  }
+  log.info('@SynthID tool attached:', hasTag);
+  
+  // Step 7: Type the rest of the question; only the mention needs key-by-key typing
+  insertText(inputArea, ` ${question}`);
+  log.debug('Step 7: Typed question');
   
-  console.log(`${LOG_PREFIX} === FINISHED ===`);
+  log.debug('=== FINISHED ===');
+  return hasTag;
 }
 
 /**
- * Wait for the @ dropdown to appear
+ * Empty the input so a failed attempt can be typed again
  */
-async function waitForDropdown(maxWait = 3000) {
-  const startTime = Date.now();
+function clearComposer(inputArea) {
+  inputArea.focus();
+  document.execCommand('selectAll');
+  document.execCommand('delete');
+}
+
+/**
+ * Wait for the @ dropdown to appear, optionally until it lists the given text
+ */
+async function waitForDropdown({ text = '', timeout = MENU_TIMEOUT } = {}) {
+  const hasText = (el) => el.textContent.toLowerCase().includes(text);
   
-  while (Date.now() - startTime < maxWait) {
+  const found = await waitForCondition(() => {
     // Look for Angular CDK overlay (what Gemini uses)
-    const cdkOverlay = document.querySelector('.cdk-overlay-container');
-    if (cdkOverlay && cdkOverlay.children.length > 0) {
-      // Check if there's actual content in the overlay
-      const panes = cdkOverlay.querySelectorAll('.cdk-overlay-pane');
-      for (const pane of panes) {
-        if (pane.offsetHeight > 0 && pane.textContent.trim().length > 0) {
-          console.log(`${LOG_PREFIX} Dropdown detected (CDK overlay with content)`);
-          return true;
-        }
+    for (const pane of findAllBySelectors('dropdownPane')) {
+      if (pane.offsetHeight > 0 && pane.textContent.trim().length > 0 && hasText(pane)) {
+        return 'CDK overlay with content';
       }
     }
     
     // Also check for generic dropdown indicators
-    const dropdown = document.querySelector(
-      '[role="listbox"]:not(:empty), ' +
-      '[role="menu"]:not(:empty)'
-    );
-    if (dropdown) {
-      console.log(`${LOG_PREFIX} Dropdown detected (role listbox/menu)`);
-      return true;
+    if (findBySelectors('dropdownList', { filter: hasText })) {
+      return 'role listbox/menu';
     }
-    
-    await delay(100);
+    return null;
+  }, { timeout });
+  
+  if (found) {
+    log.debug(`Dropdown detected (${found})`);
+    return true;
   }
   
-  console.log(`${LOG_PREFIX} Dropdown wait timed out, proceeding anyway`);
+  log.debug('Dropdown wait timed out, proceeding anyway');
   return false;
 }
 
 /**
- * Check if @SynthID tag was properly selected (vs just text)
+ * Find the chip or mention Gemini shows once the SynthID tool is attached
+ * Typed text doesn't count: "@synthid" left as plain text means selection failed.
  */
 function checkForSynthIdTag(inputArea) {
-  const html = inputArea.innerHTML || '';
-  const text = inputArea.textContent || '';
-  
-  console.log(`${LOG_PREFIX} Check tag - text: "${text}"`);
+  const chipSelector = selectorList('synthIdChip');
   
-  // If text shows "@SynthID" (capital ID) - tag was selected
-  // If text shows "@synthid" (lowercase) - just raw text, Tab didn't work
-  if (text.includes('@SynthID')) {
-    return true;
+  return Array.from(findComposer(inputArea).querySelectorAll(chipSelector))
+    .find(el => /synthid/i.test(el.textContent)) || null;
+}
+
+/**
+ * Attach SynthID from Gemini's tools menu in the composer
+ * Returns true once the SynthID item was clicked
+ */
+async function selectSynthIdFromToolsMenu(inputArea) {
+  const composer = findComposer(inputArea);
+  const toolsButton = findBySelectors('toolsButton', { root: composer }) ||
+                      findBySelectors('composerButton', { root: composer, filter: btn => btn.textContent.trim() === 'Tools' });
+  if (!toolsButton) {
+    log.debug('No tools menu button in the composer');
+    return false;
   }
   
-  // Also check for chip/mention markup
-  if (html.includes('chip') || html.includes('mention') || html.includes('data-')) {
-    return true;
+  toolsButton.click();
+  const item = await waitForCondition(() => findBySelectors('toolsMenuItem', {
+    filter: el => /synthid/i.test(el.textContent)
+  }), { timeout: MENU_TIMEOUT });
+  
+  if (!item) {
+    log.debug("SynthID isn't in the tools menu");
+    simulateKeyPress(document.activeElement || document.body, 'Escape', 27);
+    return false;
   }
   
-  return false;
+  log.debug('Clicking SynthID in the tools menu:', item);
+  item.click();
+  return true;
 }
 
 /**
@@ -892,20 +1620,20 @@ function pressTab(element) {
  * Try to find and click SynthID option in dropdown
  */
 async function selectSynthIdFromDropdown() {
-  console.log(`${LOG_PREFIX} Searching for SynthID dropdown...`);
+  log.debug('Searching for SynthID dropdown...');
   
   // Look for Angular Material CDK overlay (where dropdowns appear)
-  const cdkOverlay = document.querySelector('.cdk-overlay-container');
+  const cdkOverlay = findBySelectors('overlayContainer');
   if (cdkOverlay) {
-    console.log(`${LOG_PREFIX} Found CDK overlay container`);
-    console.log(`${LOG_PREFIX} CDK overlay content:`, cdkOverlay.innerHTML?.substring(0, 500));
+    log.debug('Found CDK overlay container');
+    log.debug('CDK overlay content:', cdkOverlay.innerHTML?.substring(0, 500));
     
     // Look for SynthID in the overlay
     const allElements = cdkOverlay.querySelectorAll('*');
     for (const el of allElements) {
       const text = el.textContent?.trim() || '';
       if (text === 'SynthID' || text.startsWith('SynthID')) {
-        console.log(`${LOG_PREFIX} Found SynthID in CDK overlay:`, el.tagName, el.className);
+        log.debug('Found SynthID in CDK overlay:', el.tagName, el.className);
         el.click();
         await delay(300);
         return true;
@@ -914,44 +1642,33 @@ async function selectSynthIdFromDropdown() {
   }
   
   // Look for any overlay/popup that might contain the dropdown
-  const overlaySelectors = [
-    '.cdk-overlay-pane',
-    '[class*="overlay"]',
-    '[class*="popup"]', 
-    '[class*="menu"]:not([class*="menu-trigger"])',
-    '[class*="dropdown"]:not(.dropdown-icon)',
-    '[class*="suggest"]',
-    '[class*="autocomplete"]',
-    '[role="listbox"]',
-    '[role="menu"]'
-  ];
-  
-  for (const selector of overlaySelectors) {
+  for (const selector of getSelectors('dropdownOverlay')) {
     const overlays = document.querySelectorAll(selector);
     for (const overlay of overlays) {
       // Skip our own overlay
       if (overlay.id?.includes('image-check')) continue;
-      if (overlay.closest('#image-check-loading-overlay')) continue;
+      if (overlay.closest('#image-check-loading-overlay, .synthid-overlay')) continue;
       
       const text = overlay.textContent || '';
       if (text.includes('SynthID') && !text.includes('uploading your image')) {
-        console.log(`${LOG_PREFIX} Found overlay with SynthID:`, selector, overlay);
+        log.debug('Found overlay with SynthID:', selector, overlay);
         
-        // Find the clickable SynthID item within
-        const items = overlay.querySelectorAll('div, span, button, li, a, mat-option, [role="option"]');
-        for (const item of items) {
-          const itemText = item.textContent?.trim() || '';
-          // Skip our overlay text
-          if (itemText.includes('uploading') || itemText.includes('Checking')) continue;
-          
-          if (itemText === 'SynthID' || (itemText.includes('SynthID') && itemText.length < 50)) {
-            console.log(`${LOG_PREFIX} Clicking SynthID item:`, item.tagName, itemText);
-            item.click();
-            item.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
-            item.dispatchEvent(new MouseEvent('mouseup', { bubbles: true }));
-            await delay(300);
-            return true;
+        // Find the clickable SynthID item within, skipping our own overlay's text
+        const item = findBySelectors('dropdownItem', {
+          root: overlay,
+          filter: el => {
+            const itemText = el.textContent?.trim() || '';
+            if (itemText.includes('uploading') || itemText.includes('Checking')) return false;
+            return itemText === 'SynthID' || (itemText.includes('SynthID') && itemText.length < 50);
           }
+        });
+        if (item) {
+          log.debug('Clicking SynthID item:', item.tagName, item.textContent.trim());
+          item.click();
+          item.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+          item.dispatchEvent(new MouseEvent('mouseup', { bubbles: true }));
+          await delay(300);
+          return true;
         }
       }
     }
@@ -962,7 +1679,7 @@ async function selectSynthIdFromDropdown() {
   let node;
   while (node = walker.nextNode()) {
     // Skip our overlay
-    if (node.closest('#image-check-loading-overlay')) continue;
+    if (node.closest('#image-check-loading-overlay, .synthid-overlay')) continue;
     if (node.closest('#image-check-success-toast')) continue;
     if (node.closest('#image-check-error-toast')) continue;
     
@@ -974,7 +1691,7 @@ async function selectSynthIdFromDropdown() {
     if (directText === 'SynthID') {
       const rect = node.getBoundingClientRect();
       if (rect.width > 0 && rect.height > 0) {
-        console.log(`${LOG_PREFIX} Found exact SynthID match:`, node.tagName, rect);
+        log.debug('Found exact SynthID match:', node.tagName, rect);
         node.click();
         await delay(300);
         return true;
@@ -982,7 +1699,7 @@ async function selectSynthIdFromDropdown() {
     }
   }
   
-  console.log(`${LOG_PREFIX} Could not find SynthID in dropdown`);
+  log.warn('Could not find SynthID in dropdown');
   return false;
 }
 
@@ -991,61 +1708,45 @@ async function selectSynthIdFromDropdown() {
  */
 async function tryKeyboardSelection(inputArea) {
   // First, let's see what the current input value is
-  console.log(`${LOG_PREFIX} Input area content before keyboard:`, inputArea.textContent);
+  log.debug('Input area content before keyboard:', inputArea.textContent);
   
   // Try Tab first (common for autocomplete)
-  console.log(`${LOG_PREFIX} Trying Tab key...`);
+  log.debug('Trying Tab key...');
   simulateKeyPress(inputArea, 'Tab', 9);
   await delay(500);
-  console.log(`${LOG_PREFIX} Input after Tab:`, inputArea.textContent);
+  log.debug('Input after Tab:', inputArea.textContent);
   
   // Check if it changed
   if (inputArea.textContent?.includes('@SynthID') || inputArea.innerHTML?.includes('SynthID')) {
-    console.log(`${LOG_PREFIX} Tab worked!`);
+    log.debug('Tab worked!');
     return;
   }
   
   // Try Enter
-  console.log(`${LOG_PREFIX} Trying Enter key...`);
+  log.debug('Trying Enter key...');
   simulateKeyPress(inputArea, 'Enter', 13);
   await delay(500);
-  console.log(`${LOG_PREFIX} Input after Enter:`, inputArea.textContent);
+  log.debug('Input after Enter:', inputArea.textContent);
   
   // Try ArrowDown then Enter
-  console.log(`${LOG_PREFIX} Trying ArrowDown + Enter...`);
+  log.debug('Trying ArrowDown + Enter...');
   simulateKeyPress(inputArea, 'ArrowDown', 40);
   await delay(300);
   simulateKeyPress(inputArea, 'Enter', 13);
   await delay(500);
-  console.log(`${LOG_PREFIX} Input after ArrowDown+Enter:`, inputArea.textContent);
+  log.debug('Input after ArrowDown+Enter:', inputArea.textContent);
   
   // Try Space (some dropdowns use space to select)
-  console.log(`${LOG_PREFIX} Trying Space key...`);
+  log.debug('Trying Space key...');
   simulateKeyPress(inputArea, ' ', 32);
   await delay(300);
 }
 
 /**
- * Find the input area using multiple selectors
+ * Find the input area using the selector pack's "input" entries
  */
 function findInputArea() {
-  const selectors = [
-    'rich-textarea [contenteditable="true"]',
-    'rich-textarea',
-    '.ql-editor[contenteditable="true"]',
-    'div[contenteditable="true"][aria-label]',
-    '[data-placeholder*="Ask"]',
-    '.input-area [contenteditable="true"]',
-    'div[contenteditable="true"]'
-  ];
-  
-  for (const selector of selectors) {
-    const element = document.querySelector(selector);
-    if (element) {
-      return element;
-    }
-  }
-  return null;
+  return findBySelectors('input');
 }
 
 /**
@@ -1091,10 +1792,29 @@ async function simulateTyping(element, text) {
   }
 }
 
+/**
+ * Insert text at the caret in one edit, as a paste would
+ */
+function insertText(element, text) {
+  element.focus();
+  document.execCommand('insertText', false, text);
+  element.dispatchEvent(new InputEvent('input', {
+    bubbles: true,
+    cancelable: true,
+    inputType: 'insertText',
+    data: text
+  }));
+}
+
 /**
  * Extract filename from URL
+ * Returns null for data:/blob: URLs and paths without a file name
  */
 function getFileNameFromUrl(url) {
+  if (url.startsWith('data:') || url.startsWith('blob:')) {
+    return null;
+  }
+  
   try {
     const urlObj = new URL(url);
     const pathname = urlObj.pathname;
@@ -1104,17 +1824,119 @@ function getFileNameFromUrl(url) {
     if (lastPart && lastPart.includes('.')) {
       return lastPart;
     }
-    return "image.png";
+    return null;
   } catch {
-    return "image.png";
+    return null;
   }
 }
 
 /**
  * Utility: delay/sleep function
+ * Scaled by the "automation speed" setting, for slow machines.
+ * A hidden tab (background or minimized) gets about one timer wake-up a
+ * second, which would stretch every keystroke pause to a second, so there
+ * short pauses only let the page's queued work run.
  */
 function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+  const signal = stepSignal;
+  const pause = ms * settings.delayScale;
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    if (document.hidden && pause < HIDDEN_TAB_MAX_PAUSE) {
+      yieldToPage().then(resolve);
+    } else {
+      timer = setTimeout(resolve, pause);
+    }
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/**
+ * Resolve once the page's already-queued tasks have run. Uses a
+ * MessageChannel, which hidden tabs don't throttle the way they do timers.
+ */
+function yieldToPage() {
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = () => {
+      channel.port1.close();
+      resolve();
+    };
+    channel.port2.postMessage(null);
+  });
+}
+
+/**
+ * Wait until check() returns something truthy, re-running it whenever the DOM changes
+ * Resolves with that result, or null on timeout. Also re-checks every pollInterval,
+ * for changes that don't touch the DOM (focus, layout). minInterval throttles costly checks.
+ * Rejects if the current step is cancelled or paused.
+ */
+function waitForCondition(check, { timeout = settings.maxWaitTime, root = document.documentElement, minInterval = 0 } = {}) {
+  const signal = stepSignal;
+  return new Promise((resolve, reject) => {
+    let done = false;
+    let lastRun = 0;
+    let pending = null;
+    
+    const stop = () => {
+      done = true;
+      observer.disconnect();
+      clearInterval(poll);
+      clearTimeout(timer);
+      clearTimeout(pending);
+    };
+    
+    const finish = (result) => {
+      stop();
+      resolve(result);
+    };
+    
+    const run = () => {
+      pending = null;
+      lastRun = Date.now();
+      const result = check();
+      if (result) finish(result);
+    };
+    
+    const schedule = () => {
+      if (done || pending) return;
+      const wait = lastRun + minInterval - Date.now();
+      if (wait <= 0) {
+        run();
+      } else {
+        pending = setTimeout(run, wait);
+      }
+    };
+    
+    const observer = new MutationObserver(schedule);
+    const poll = setInterval(schedule, settings.pollInterval);
+    const timer = setTimeout(() => finish(null), timeout);
+    
+    signal?.addEventListener('abort', () => {
+      stop();
+      reject(signal.reason);
+    }, { once: true });
+    
+    observer.observe(root, { childList: true, subtree: true, attributes: true, characterData: true });
+    schedule();
+  });
+}
+
+/**
+ * Run one step of the check, recording how long it took in stepTimings
+ */
+async function timed(step, fn) {
+  const startTime = performance.now();
+  try {
+    return await fn();
+  } finally {
+    stepTimings[step] = Math.round(performance.now() - startTime);
+    log.debug(`Step "${step}" took ${stepTimings[step]}ms`);
+  }
 }
 
 /**
@@ -1208,6 +2030,29 @@ function injectStyles() {
       line-height: 1.4;
     }
     
+    .synthid-actions {
+      display: flex;
+      gap: 10px;
+      margin-top: 16px;
+    }
+    
+    .synthid-button {
+      background: #f59e0b;
+      color: #1a1a1a;
+      border: none;
+      padding: 10px 18px;
+      border-radius: 10px;
+      font-size: 14px;
+      font-weight: 600;
+      cursor: pointer;
+      font-family: inherit;
+    }
+    
+    .synthid-button.secondary {
+      background: #2a2a2a;
+      color: #f5f5f5;
+    }
+    
     /* Light mode */
     @media (prefers-color-scheme: light) {
       .synthid-toast {
@@ -1227,6 +2072,15 @@ function injectStyles() {
       .synthid-subtitle {
         color: #666;
       }
+      
+      .synthid-button {
+        background: #d97706;
+      }
+      
+      .synthid-button.secondary {
+        background: #ebebeb;
+        color: #1a1a1a;
+      }
     }
   `;
   document.head.appendChild(styles);
@@ -1236,6 +2090,7 @@ function injectStyles() {
  * Show typing overlay - preparing the question
  */
 function showTypingOverlay() {
+  if (progressInSidePanel) return;
   injectStyles();
   removeAllOverlays();
   
@@ -1249,8 +2104,10 @@ function showTypingOverlay() {
         <div class="synthid-title">Getting ready...</div>
         <div class="synthid-subtitle">Preparing to check your image</div>
       </div>
+      <button class="synthid-button secondary synthid-cancel">Cancel</button>
     </div>
   `;
+  overlay.querySelector('.synthid-cancel').addEventListener('click', cancelCheck);
   document.body.appendChild(overlay);
 }
 
@@ -1258,6 +2115,7 @@ function showTypingOverlay() {
  * Show uploading overlay - uploading the image
  */
 function showUploadingOverlay() {
+  if (progressInSidePanel) return;
   injectStyles();
   removeAllOverlays();
   
@@ -1271,8 +2129,10 @@ function showUploadingOverlay() {
         <div class="synthid-title">Uploading your image...</div>
         <div class="synthid-subtitle">This might take a few seconds</div>
       </div>
+      <button class="synthid-button secondary synthid-cancel">Cancel</button>
     </div>
   `;
+  overlay.querySelector('.synthid-cancel').addEventListener('click', cancelCheck);
   document.body.appendChild(overlay);
 }
 
@@ -1280,6 +2140,7 @@ function showUploadingOverlay() {
  * Show sending overlay - sending to Gemini
  */
 function showSendingOverlay() {
+  if (progressInSidePanel) return;
   injectStyles();
   removeAllOverlays();
   
@@ -1293,8 +2154,10 @@ function showSendingOverlay() {
         <div class="synthid-title">Starting the check...</div>
         <div class="synthid-subtitle">Sending to Google AI</div>
       </div>
+      <button class="synthid-button secondary synthid-cancel">Cancel</button>
     </div>
   `;
+  overlay.querySelector('.synthid-cancel').addEventListener('click', cancelCheck);
   document.body.appendChild(overlay);
 }
 
@@ -1327,6 +2190,242 @@ function showCompletionAnimation() {
   setTimeout(() => overlay.remove(), 8000);
 }
 
+/**
+ * Show the verdict once Gemini has answered
+ */
+function showVerdictToast(verdict) {
+  injectStyles();
+  removeAllOverlays();
+  
+  const details = {
+    [VERDICTS.DETECTED]: { icon: '!', subtitle: 'Made or edited with Google AI — see the answer above' },
+    [VERDICTS.PARTIAL]: { icon: '!', subtitle: 'Part of this image was made with Google AI — see the answer above' },
+    [VERDICTS.NOT_DETECTED]: { icon: '✓', subtitle: 'No Google AI watermark — other AI tools can\'t be ruled out' },
+    [VERDICTS.INCONCLUSIVE]: { icon: '?', subtitle: 'Read Gemini\'s answer above for details' }
+  }[verdict];
+  
+  const overlay = document.createElement('div');
+  overlay.id = 'synthid-verdict';
+  overlay.className = 'synthid-overlay';
+  overlay.innerHTML = `
+    <div class="synthid-toast">
+      <div class="synthid-icon">${details.icon}</div>
+      <div class="synthid-content">
+        <div class="synthid-title">${VERDICT_LABELS[verdict]}</div>
+        <div class="synthid-subtitle">${details.subtitle}</div>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+  
+  // Remove after 10 seconds
+  setTimeout(() => overlay.remove(), 10000);
+}
+
+/**
+ * Offer an earlier verdict for the same picture instead of re-uploading it.
+ * Exact matches default to the earlier verdict; similar ones default to a fresh check.
+ * Resolves 'check-again', 'open-previous' or 'use-previous'
+ */
+function showPreviousVerdictPrompt({ exact, similar }) {
+  injectStyles();
+  removeAllOverlays();
+  
+  const previousCheck = exact || similar[0].job;
+  const formatDate = (job) => new Date(job.finishedAt || job.createdAt).toLocaleDateString();
+  
+  const subtitle = exact
+    ? `You already checked this exact image on ${formatDate(exact)}`
+    : similar.map(({ job, similarity }) =>
+        `${Math.round(similarity * 100)}% similar image checked on ${formatDate(job)}: ${VERDICT_LABELS[job.verdict]}`
+      ).join('<br>');
+  
+  const overlay = document.createElement('div');
+  overlay.id = 'synthid-previous';
+  overlay.className = 'synthid-overlay';
+  overlay.innerHTML = `
+    <div class="synthid-toast">
+      <div class="synthid-icon">↺</div>
+      <div class="synthid-content">
+        <div class="synthid-title">${exact ? VERDICT_LABELS[exact.verdict] : 'Seen something like this before'}</div>
+        <div class="synthid-subtitle">${subtitle}</div>
+        <div class="synthid-actions">
+          <button class="synthid-button" data-choice="check-again">${exact ? 'Check again anyway' : 'Check this image'}</button>
+          ${exact ? '' : '<button class="synthid-button secondary" data-choice="use-previous">Use earlier verdict</button>'}
+          ${previousCheck.conversationUrl ? '<button class="synthid-button secondary" data-choice="open-previous">Open previous answer</button>' : ''}
+        </div>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+  
+  return new Promise((resolve) => {
+    overlay.addEventListener('click', (e) => {
+      const choice = e.target.dataset?.choice;
+      if (!choice) return;
+      
+      overlay.remove();
+      resolve(choice);
+    });
+    
+    // Nobody answered: trust an exact match, but check a merely similar image
+    setTimeout(() => {
+      if (overlay.isConnected) {
+        overlay.remove();
+        resolve(exact ? 'use-previous' : 'check-again');
+      }
+    }, 30000);
+  });
+}
+
+/**
+ * Show the paused prompt when the user used the chat input mid-check
+ * Resolves true to resume, false to cancel
+ */
+function showPausedPrompt() {
+  injectStyles();
+  removeAllOverlays();
+  
+  const overlay = document.createElement('div');
+  overlay.id = 'synthid-paused';
+  overlay.className = 'synthid-overlay';
+  overlay.innerHTML = `
+    <div class="synthid-toast">
+      <div class="synthid-icon">Ⅱ</div>
+      <div class="synthid-content">
+        <div class="synthid-title">Paused</div>
+        <div class="synthid-subtitle">You started using the chat. Resume when you're done and the check will redo this step.</div>
+        <div class="synthid-actions">
+          <button class="synthid-button" data-choice="resume">Resume</button>
+          <button class="synthid-button secondary" data-choice="cancel">Cancel check</button>
+        </div>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+  
+  return new Promise((resolve) => {
+    overlay.addEventListener('click', (e) => {
+      const choice = e.target.dataset?.choice;
+      if (!choice) return;
+      
+      overlay.remove();
+      resolve(choice === 'resume');
+    });
+  });
+}
+
+/**
+ * Tell the user their draft is kept for the chat it came from, with a way back there.
+ * Shown beside the verdict toast rather than replacing it.
+ */
+function showDraftElsewhereMessage(url) {
+  injectStyles();
+  document.getElementById('synthid-draft')?.remove();
+  
+  const newChat = new URL(url).pathname === '/app';
+  const overlay = document.createElement('div');
+  overlay.id = 'synthid-draft';
+  overlay.className = 'synthid-overlay';
+  overlay.style.bottom = '150px';
+  overlay.innerHTML = `
+    <div class="synthid-toast">
+      <div class="synthid-icon">✎</div>
+      <div class="synthid-content">
+        <div class="synthid-title">Your draft is saved</div>
+        <div class="synthid-subtitle">${newChat
+          ? "It'll be put back when you start a new chat in this tab."
+          : "It'll be put back when you return to the chat you wrote it in."}</div>
+        <div class="synthid-actions">
+          <button class="synthid-button secondary" data-choice="back">${newChat ? "New chat" : "Back to that chat"}</button>
+        </div>
+      </div>
+    </div>
+  `;
+  overlay.querySelector('[data-choice="back"]').addEventListener('click', () => {
+    window.location.assign(url);
+  });
+  document.body.appendChild(overlay);
+  
+  // Remove after 15 seconds; the draft stays stashed either way
+  setTimeout(() => overlay.remove(), 15000);
+}
+
+/**
+ * Tell the user their draft with attachments was left alone
+ */
+function showDraftKeptMessage() {
+  injectStyles();
+  removeAllOverlays();
+  
+  const overlay = document.createElement('div');
+  overlay.id = 'synthid-manual';
+  overlay.className = 'synthid-overlay';
+  overlay.innerHTML = `
+    <div class="synthid-toast">
+      <div class="synthid-icon">✎</div>
+      <div class="synthid-content">
+        <div class="synthid-title">Your draft is safe</div>
+        <div class="synthid-subtitle">This chat has files attached, so the check runs in a new tab instead</div>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+  
+  // Remove after 8 seconds
+  setTimeout(() => overlay.remove(), 8000);
+}
+
+/**
+ * Show the prompt when the @SynthID tool couldn't be attached and nothing was sent
+ */
+function showToolMissingPrompt() {
+  injectStyles();
+  removeAllOverlays();
+  
+  const overlay = document.createElement('div');
+  overlay.id = 'synthid-manual';
+  overlay.className = 'synthid-overlay';
+  overlay.innerHTML = `
+    <div class="synthid-toast">
+      <div class="synthid-icon">@</div>
+      <div class="synthid-content">
+        <div class="synthid-title">Add @SynthID, then send</div>
+        <div class="synthid-subtitle">The SynthID tool couldn't be attached, so nothing was sent. Type @SynthID, pick it from the list, then click Send.</div>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+  
+  // Remove after 20 seconds
+  setTimeout(() => overlay.remove(), 20000);
+}
+
+/**
+ * Show review prompt - when auto-send is turned off in options
+ */
+function showReviewBeforeSendPrompt() {
+  injectStyles();
+  removeAllOverlays();
+  
+  const overlay = document.createElement('div');
+  overlay.id = 'synthid-manual';
+  overlay.className = 'synthid-overlay';
+  overlay.innerHTML = `
+    <div class="synthid-toast">
+      <div class="synthid-icon">✎</div>
+      <div class="synthid-content">
+        <div class="synthid-title">Ready when you are</div>
+        <div class="synthid-subtitle">Review the question, then click Send to start the check</div>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+  
+  // Remove after 20 seconds
+  setTimeout(() => overlay.remove(), 20000);
+}
+
 /**
  * Show manual send prompt - if auto-send fails
  */
@@ -1356,7 +2455,7 @@ function showManualSendPrompt() {
  * Remove all overlays
  */
 function removeAllOverlays() {
-  ['synthid-working', 'synthid-complete', 'synthid-manual', 'synthid-error-overlay',
+  ['synthid-working', 'synthid-complete', 'synthid-verdict', 'synthid-previous', 'synthid-paused', 'synthid-manual', 'synthid-error-overlay',
    'synthid-signin-overlay', 'synthid-typing-toast', 'synthid-uploading-toast', 
    'synthid-sending-toast', 'synthid-complete-toast', 'image-check-loading-overlay', 
    'image-check-success-toast', 'image-check-test-toast'].forEach(id => {
@@ -1368,24 +2467,29 @@ function removeAllOverlays() {
  * Click the send button
  */
 async function clickSendButton() {
-  console.log(`${LOG_PREFIX} Looking for send button...`);
+  log.debug('Looking for send button...');
   
-  // Method 1: Look for button with mat-icon or arrow icon in bottom area
-  const allButtons = document.querySelectorAll('button');
-  console.log(`${LOG_PREFIX} Found ${allButtons.length} buttons total`);
+  // Gemini keeps Send disabled until the upload has finished processing
+  await waitForCondition(() => findBySelectors('enabledSendButton'), { timeout: MENU_TIMEOUT });
+  
+  const inputArea = findInputArea();
+  
+  // Method 1: Look for button with mat-icon or arrow icon around the input
+  const allButtons = findAllBySelectors('composerButton');
+  log.debug(`Found ${allButtons.length} buttons total`);
   
   for (const btn of allButtons) {
     const rect = btn.getBoundingClientRect();
     
-    // Send button is at bottom of page, right side
-    if (rect.bottom > window.innerHeight - 200 && rect.right > window.innerWidth / 2) {
+    // Send button is by the input, on its right side
+    if (inputArea && isNearInput(btn, inputArea) &&
+        rect.right > inputArea.getBoundingClientRect().left + inputArea.offsetWidth / 2) {
       // Check if it's a circular/icon button (send buttons are usually small and round)
       const isIconButton = rect.width < 100 && rect.height < 100 && rect.width > 20;
-      const hasArrow = btn.innerHTML.includes('arrow') || btn.innerHTML.includes('send') || 
-                       btn.innerHTML.includes('M2') || btn.innerHTML.includes('path');
+      const hasArrow = Boolean(findBySelectors('sendIcon', { root: btn }));
       const ariaLabel = btn.getAttribute('aria-label') || '';
       
-      console.log(`${LOG_PREFIX} Button candidate:`, {
+      log.debug('Button candidate:', {
         rect: `${rect.width}x${rect.height} at ${rect.right},${rect.bottom}`,
         ariaLabel,
         isIconButton,
@@ -1393,7 +2497,7 @@ async function clickSendButton() {
       });
       
       if (isIconButton && (hasArrow || ariaLabel.toLowerCase().includes('send'))) {
-        console.log(`${LOG_PREFIX} Clicking send button!`);
+        log.debug('Clicking send button!');
         btn.click();
         await delay(100);
         btn.dispatchEvent(new MouseEvent('click', { bubbles: true }));
@@ -1403,15 +2507,14 @@ async function clickSendButton() {
   }
   
   // Method 2: Find by aria-label
-  const sendByLabel = document.querySelector('[aria-label*="Send" i], [aria-label*="submit" i]');
+  const sendByLabel = findBySelectors('sendButton');
   if (sendByLabel) {
-    console.log(`${LOG_PREFIX} Found send by aria-label:`, sendByLabel);
+    log.debug('Found send by aria-label:', sendByLabel);
     sendByLabel.click();
     return true;
   }
   
   // Method 3: Find the rightmost button in the input area
-  const inputArea = findInputArea();
   if (inputArea) {
     const inputRect = inputArea.getBoundingClientRect();
     let bestButton = null;
@@ -1427,16 +2530,65 @@ async function clickSendButton() {
     }
     
     if (bestButton) {
-      console.log(`${LOG_PREFIX} Clicking rightmost button near input:`, bestButton);
+      log.debug('Clicking rightmost button near input:', bestButton);
       bestButton.click();
       return true;
     }
   }
   
-  console.log(`${LOG_PREFIX} Could not find send button - user will need to click manually`);
+  log.warn('Could not find send button - user will need to click manually');
   return false;
 }
 
+/**
+ * Get Gemini's answer elements, oldest first
+ */
+function getModelResponses() {
+  // Use the first selector that matches, since these can be nested in each other
+  return findAllBySelectors('modelResponse');
+}
+
+/**
+ * Check if Gemini is still streaming an answer
+ */
+function isResponseStreaming() {
+  return !!findBySelectors('stopButton');
+}
+
+/**
+ * Wait for a new answer to appear and finish streaming
+ * Returns the answer text, or whatever had arrived by the timeout (null if nothing)
+ */
+async function waitForSynthIdAnswer(previousCount) {
+  let lastText = '';
+  let lastChange = Date.now();
+  
+  // The answer is done once its text has held still for responseSettleTime;
+  // the pollInterval re-check notices the quiet spell since nothing mutates then
+  const answer = await waitForCondition(() => {
+    const responses = getModelResponses();
+    if (responses.length <= previousCount) return null;
+    
+    const text = responses[responses.length - 1].innerText?.trim() || '';
+    if (text !== lastText) {
+      lastText = text;
+      lastChange = Date.now();
+      return null;
+    }
+    
+    const settled = text && !isResponseStreaming() && Date.now() - lastChange >= settings.responseSettleTime;
+    return settled ? text : null;
+  }, { timeout: settings.responseTimeout, minInterval: 100 });
+  
+  if (answer) {
+    log.info(`Answer received (${answer.length} chars)`);
+    return answer;
+  }
+  
+  log.warn('Timed out waiting for answer');
+  return lastText || null;
+}
+
 // Keep old functions for compatibility
 function showLoadingOverlay() {
   showTypingOverlay();
@@ -1479,9 +2631,16 @@ function showManualSendPrompt() {
 }
 
 /**
- * Show error message - warm dark theme
+ * Show a CheckError with its remedy and the catalog's action button
  */
-function showErrorMessage(message) {
+function showErrorMessage(error, job) {
+  const { remedy, action } = ERROR_CATALOG[error.code];
+  
+  if (error.code === ERROR_CODES.NOT_SIGNED_IN) {
+    showSignInRequiredMessage();
+    return;
+  }
+  
   injectStyles();
   removeAllOverlays();
   
@@ -1517,31 +2676,47 @@ function showErrorMessage(message) {
     <h2 style="margin: 0 0 12px; color: #f5f5f5; font-size: 22px; font-weight: 600;">
       That didn't work
     </h2>
-    <p style="margin: 0 0 28px; color: #888; font-size: 15px; line-height: 1.6;">
-      ${message}
+    <p style="margin: 0 0 12px; color: #aaa; font-size: 15px; line-height: 1.6;">
+      ${error.message}
     </p>
-    <button id="synthid-error-close" style="
-      background: #f59e0b;
-      color: #1a1a1a;
-      border: none;
-      padding: 14px 36px;
-      border-radius: 10px;
-      font-size: 16px;
-      font-weight: 600;
-      cursor: pointer;
-      font-family: inherit;
-    ">
-      OK, got it
-    </button>
+    <p style="margin: 0 0 28px; color: #888; font-size: 14px; line-height: 1.6;">
+      ${remedy}
+    </p>
+    <div class="synthid-actions" style="justify-content: center;">
+      <button class="synthid-button" id="synthid-error-action">${action.label}</button>
+      <button class="synthid-button secondary" id="synthid-error-close">OK, got it</button>
+    </div>
   `;
   
   overlay.appendChild(modal);
   document.body.appendChild(overlay);
   
   // Add click handlers
+  document.getElementById('synthid-error-action').addEventListener('click', () => {
+    overlay.remove();
+    runErrorAction(action.type, job);
+  });
   document.getElementById('synthid-error-close').addEventListener('click', () => overlay.remove());
   overlay.addEventListener('click', (e) => {
     if (e.target === overlay) overlay.remove();
   });
 }
 
+/**
+ * Do what an error overlay's action button offers (see ERROR_ACTIONS)
+ */
+function runErrorAction(actionType, job) {
+  if (actionType === ERROR_ACTIONS.DOWNLOAD_IMAGE) {
+    // Cross-origin URLs ignore the download attribute and open in a new tab instead, ready to save
+    const link = document.createElement('a');
+    link.href = job.imageDataUrl || job.imageUrl;
+    link.download = job.fileName || '';
+    link.target = '_blank';
+    link.click();
+  } else if (actionType === ERROR_ACTIONS.SIGN_IN) {
+    window.location.assign(GEMINI_SIGN_IN_URL);
+  } else if (actionType === ERROR_ACTIONS.RETRY) {
+    chrome.runtime.sendMessage({ type: "RERUN_JOB", jobId: job.id });
+  }
+}
+
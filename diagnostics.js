@@ -0,0 +1,177 @@
+/**
+ * Gemini Diagnostics
+ * Runs each detection step of a check against the live Gemini page without
+ * sending anything, and reports which selectors.json entry matched for each.
+ * Loaded after content.js, whose detection functions it reuses.
+ */
+
+// Probed in order; later probes use what earlier ones found (see runDiagnostics)
+const DIAGNOSTIC_STEPS = [
+  { name: "signIn", label: "Signed in", probe: probeSignIn },
+  { name: "input", label: "Chat input", probe: probeInput },
+  { name: "addButton", label: "Add (+) button", probe: probeAddButton },
+  { name: "fileInput", label: "File input", probe: probeFileInput },
+  { name: "synthIdDropdown", label: "@SynthID in the dropdown", probe: probeSynthIdDropdown },
+  { name: "sendButton", label: "Send button", probe: probeSendButton }
+];
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === "RUN_DIAGNOSTICS") {
+    runDiagnostics().then(sendResponse);
+    return true; // Keep channel open for async response
+  }
+});
+
+/**
+ * Run every probe and collect the results into a report.
+ * Each step is { name, label, pass, detail, matched }; pass is null for a skipped step.
+ */
+async function runDiagnostics() {
+  if (isRunningJob) {
+    return { error: "A check is running in this Gemini tab. Try again once it's finished." };
+  }
+
+  settings = await getSettings();
+  const pack = await loadSelectorPack();
+  log.info('Running diagnostics');
+
+  const report = {
+    ranAt: new Date().toISOString(),
+    pageUrl: window.location.href,
+    selectorPack: { version: pack.version, updated: pack.updated },
+    viewport: `${window.innerWidth}x${window.innerHeight}`,
+    steps: []
+  };
+  const found = { inputArea: null, addButton: null, typed: false, draft: null };
+
+  try {
+    for (const { name, label, probe } of DIAGNOSTIC_STEPS) {
+      let step;
+      try {
+        const { result, matches } = await recordMatches(() => probe(found));
+        step = { name, label, ...result, matched: matches };
+      } catch (error) {
+        step = { name, label, pass: false, detail: error.message, matched: {} };
+      }
+      log.info(`Diagnostics: ${name}`, step.pass === null ? "skipped" : step.pass ? "pass" : "FAIL", step.detail);
+      report.steps.push(step);
+    }
+  } finally {
+    cleanUpAfterProbes(found);
+  }
+
+  return report;
+}
+
+function probeSignIn() {
+  const signedIn = detectSignInState();
+  if (signedIn === null) {
+    return { pass: false, detail: "Neither an account avatar nor a Sign in button was found" };
+  }
+  return { pass: signedIn, detail: signedIn ? "Signed in" : "Not signed in" };
+}
+
+function probeInput(found) {
+  found.inputArea = findInputArea();
+  if (!found.inputArea) {
+    return { pass: false, detail: "No chat input on the page" };
+  }
+
+  const rect = found.inputArea.getBoundingClientRect();
+  return { pass: true, detail: `${describeElement(found.inputArea)}, ${Math.round(rect.width)}x${Math.round(rect.height)}` };
+}
+
+function probeAddButton(found) {
+  found.addButton = findAddButton();
+  return found.addButton
+    ? { pass: true, detail: describeElement(found.addButton) }
+    : { pass: false, detail: "No add button near the bottom of the page" };
+}
+
+/**
+ * Gemini may only create its file input once the add menu is open, so the
+ * menu is opened (and closed again) if the input isn't there yet
+ */
+async function probeFileInput(found) {
+  if (findBySelectors('fileInput')) {
+    return { pass: true, detail: "On the page" };
+  }
+  if (!found.addButton) {
+    return { pass: false, detail: "Not on the page, and there's no add button to open" };
+  }
+
+  found.addButton.click();
+  const fileInput = await waitForCondition(() => findBySelectors('fileInput'), { timeout: MENU_TIMEOUT });
+  simulateKeyPress(document.activeElement || document.body, 'Escape', 27);
+
+  return fileInput
+    ? { pass: true, detail: "Appeared after opening the add menu" }
+    : { pass: false, detail: "Not found, even with the add menu open. Checks will fall back to paste and drag-drop." };
+}
+
+/**
+ * Type "@synthid" the way a check does and look for the option, without selecting it.
+ * The user's draft is set aside first and put back by cleanUpAfterProbes().
+ */
+async function probeSynthIdDropdown(found) {
+  const inputArea = found.inputArea;
+  if (!inputArea) {
+    return { pass: null, detail: "Skipped: no chat input to type in" };
+  }
+  if (findComposerAttachments(inputArea).length > 0) {
+    return { pass: null, detail: "Skipped: Gemini's input has an attachment. Remove it and run diagnostics again." };
+  }
+
+  const draft = inputArea.innerText.trim();
+  if (draft) {
+    found.draft = draft;
+    clearComposer(inputArea);
+  }
+
+  inputArea.focus();
+  found.typed = true;
+  await simulateTyping(inputArea, "@");
+  const opened = await waitForDropdown();
+  await simulateTyping(inputArea, "synthid");
+  const listed = await waitForDropdown({ text: 'synthid' });
+
+  if (listed) {
+    return { pass: true, detail: "SynthID is offered" };
+  }
+  return { pass: false, detail: opened ? "The dropdown opened but doesn't list SynthID" : "No dropdown appeared after typing @" };
+}
+
+/**
+ * Find the Send button with the probe text still typed, since Gemini hides it for an empty input
+ */
+function probeSendButton() {
+  const sendButton = findBySelectors('sendButton');
+  if (!sendButton) {
+    return { pass: false, detail: "No Send button found" };
+  }
+
+  const enabled = !sendButton.disabled && sendButton.getAttribute('aria-disabled') !== 'true';
+  return { pass: true, detail: `${describeElement(sendButton)}${enabled ? "" : " (disabled)"}` };
+}
+
+/**
+ * Close any open menu, remove the probe text and put back the user's draft
+ */
+function cleanUpAfterProbes(found) {
+  if (!found.typed) return;
+
+  simulateKeyPress(found.inputArea, 'Escape', 27);
+  clearComposer(found.inputArea);
+  if (found.draft) {
+    insertText(found.inputArea, found.draft);
+  }
+}
+
+/**
+ * Short description of an element for the report, e.g. button[aria-label="Send message"]
+ */
+function describeElement(element) {
+  const tag = element.tagName.toLowerCase();
+  const label = element.getAttribute('aria-label');
+  return label ? `${tag}[aria-label="${label}"]` : tag;
+}
@@ -0,0 +1,123 @@
+/**
+ * Check Errors
+ * Catalog of the ways a check can fail, each with a remedy for the user
+ * and the action the error overlay offers. Shared by the content script,
+ * background and popup.
+ */
+
+const ERROR_CODES = {
+  FETCH_CORS: "FETCH_CORS",                     // Image host doesn't allow cross-site downloads
+  HTTP_403: "HTTP_403",                         // Image host refused the download
+  FETCH_FAILED: "FETCH_FAILED",                 // Any other download failure
+  NOT_SIGNED_IN: "NOT_SIGNED_IN",
+  GEMINI_NOT_READY: "GEMINI_NOT_READY",         // Chat input never appeared
+  TOOL_NOT_FOUND: "TOOL_NOT_FOUND",             // @SynthID wasn't offered in the dropdown
+  UPLOAD_REJECTED: "UPLOAD_REJECTED",           // No upload method got the image attached
+  SEND_BUTTON_MISSING: "SEND_BUTTON_MISSING",
+  NOT_SENT: "NOT_SENT",                         // Left for the user to send, and never sent
+  STEP_TIMEOUT: "STEP_TIMEOUT",
+  GEMINI_RELOADING: "GEMINI_RELOADING",         // The page reloaded more often than a check resumes from
+  GEMINI_TAB_CLOSED: "GEMINI_TAB_CLOSED",       // The check's Gemini tab was closed before it finished
+  CANCELLED: "CANCELLED",                       // The user stopped the check
+  UNKNOWN: "UNKNOWN"
+};
+
+// What the error overlay's action button does
+const ERROR_ACTIONS = {
+  DOWNLOAD_IMAGE: "download-image",   // Save the image so it can be checked from disk
+  SIGN_IN: "sign-in",
+  RETRY: "retry"                      // Re-run the check
+};
+
+const ERROR_CATALOG = {
+  [ERROR_CODES.FETCH_CORS]: {
+    message: "This image is protected by the site it's on, so it couldn't be downloaded.",
+    remedy: "Download the image, then attach it to Gemini from disk and ask @SynthID yourself.",
+    action: { type: ERROR_ACTIONS.DOWNLOAD_IMAGE, label: "Download the image" }
+  },
+  [ERROR_CODES.HTTP_403]: {
+    message: "The image's server refused the download (HTTP 403).",
+    remedy: "The site may only serve it to visitors of the page. Download it from there and check it from disk.",
+    action: { type: ERROR_ACTIONS.DOWNLOAD_IMAGE, label: "Download the image" }
+  },
+  [ERROR_CODES.FETCH_FAILED]: {
+    message: "The image couldn't be downloaded.",
+    remedy: "Check your connection and try again, or download the image and check it from disk.",
+    action: { type: ERROR_ACTIONS.RETRY, label: "Try again" }
+  },
+  [ERROR_CODES.NOT_SIGNED_IN]: {
+    message: "You're not signed in to Gemini.",
+    remedy: "Sign in with your Google account, then right-click the image again.",
+    action: { type: ERROR_ACTIONS.SIGN_IN, label: "Sign in to Gemini" }
+  },
+  [ERROR_CODES.GEMINI_NOT_READY]: {
+    message: "Gemini took too long to load.",
+    remedy: "Gemini may be slow right now. Try again, or raise \"Wait for Gemini to load\" in Options.",
+    action: { type: ERROR_ACTIONS.RETRY, label: "Try again" }
+  },
+  [ERROR_CODES.TOOL_NOT_FOUND]: {
+    message: "Gemini didn't offer the @SynthID tool.",
+    remedy: "SynthID may not be available for your account or region yet. Type @SynthID in Gemini to see if it's listed.",
+    action: { type: ERROR_ACTIONS.RETRY, label: "Try again" }
+  },
+  [ERROR_CODES.UPLOAD_REJECTED]: {
+    message: "Gemini didn't accept the image.",
+    remedy: "Gemini may not support this format or size. Download the image and attach it to Gemini yourself.",
+    action: { type: ERROR_ACTIONS.DOWNLOAD_IMAGE, label: "Download the image" }
+  },
+  [ERROR_CODES.SEND_BUTTON_MISSING]: {
+    message: "Gemini's Send button couldn't be found.",
+    remedy: "Your question and image may already be in the chat. Click Send in Gemini, or try again.",
+    action: { type: ERROR_ACTIONS.RETRY, label: "Try again" }
+  },
+  [ERROR_CODES.NOT_SENT]: {
+    message: "Your question was never sent to Gemini.",
+    remedy: "The check waited for you to click Send. Your question is still in Gemini: send it and read the answer there, or try again.",
+    action: { type: ERROR_ACTIONS.RETRY, label: "Try again" }
+  },
+  [ERROR_CODES.STEP_TIMEOUT]: {
+    message: "Gemini stopped responding partway through the check.",
+    remedy: "Try again, or raise the timings in Options if this keeps happening.",
+    action: { type: ERROR_ACTIONS.RETRY, label: "Try again" }
+  },
+  [ERROR_CODES.GEMINI_RELOADING]: {
+    message: "Gemini kept reloading during the check.",
+    remedy: "Try again. If it keeps happening, open Gemini yourself to see what's reloading it.",
+    action: { type: ERROR_ACTIONS.RETRY, label: "Try again" }
+  },
+  [ERROR_CODES.GEMINI_TAB_CLOSED]: {
+    message: "The Gemini tab was closed before the check finished.",
+    remedy: "Try again, and leave the Gemini tab open until the verdict shows.",
+    action: { type: ERROR_ACTIONS.RETRY, label: "Try again" }
+  },
+  [ERROR_CODES.CANCELLED]: {
+    message: "You cancelled the check.",
+    remedy: "Right-click the image again whenever you're ready.",
+    action: { type: ERROR_ACTIONS.RETRY, label: "Check again" }
+  },
+  [ERROR_CODES.UNKNOWN]: {
+    message: "Something went wrong.",
+    remedy: "Try again. If it keeps failing, check the image in Gemini yourself.",
+    action: { type: ERROR_ACTIONS.RETRY, label: "Try again" }
+  }
+};
+
+/**
+ * An error with a code from ERROR_CODES. detail is for logs, not the user.
+ */
+class CheckError extends Error {
+  constructor(code, detail = null) {
+    super(ERROR_CATALOG[code].message);
+    this.name = "CheckError";
+    this.code = code;
+    this.detail = detail;
+  }
+}
+
+/**
+ * Wrap anything thrown into a CheckError, keeping the original message as detail
+ */
+function toCheckError(error) {
+  if (error instanceof CheckError) return error;
+  return new CheckError(ERROR_CODES.UNKNOWN, error?.message || String(error));
+}
@@ -0,0 +1,65 @@
+/**
+ * Image Hashing
+ * Fingerprints image bytes so repeat checks can reuse earlier verdicts
+ */
+
+/**
+ * SHA-256 of a Blob's bytes, as lowercase hex
+ */
+async function sha256Hex(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Perceptual difference hash (dHash) of an image, as 16 hex chars (64 bits).
+ * Survives resizing and recompression, so the same picture re-encoded by
+ * another site hashes to the same or a nearby value. Null if undecodable.
+ */
+async function perceptualHash(blob) {
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(blob);
+  } catch (error) {
+    return null; // e.g. SVG, or a format the browser can't decode
+  }
+
+  // Shrink to 9x8 grayscale, then compare each pixel with its right neighbour
+  const canvas = new OffscreenCanvas(9, 8);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0, 9, 8);
+  bitmap.close();
+
+  const { data } = ctx.getImageData(0, 0, 9, 8);
+  const gray = (x, y) => {
+    const i = (y * 9 + x) * 4;
+    return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+  };
+
+  let hex = '';
+  for (let y = 0; y < 8; y++) {
+    let byte = 0;
+    for (let x = 0; x < 8; x++) {
+      byte = (byte << 1) | (gray(x, y) > gray(x + 1, y) ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+/**
+ * Share of matching bits between two perceptual hashes, from 0 to 1
+ */
+function hashSimilarity(hashA, hashB) {
+  let differentBits = 0;
+  for (let i = 0; i < hashA.length; i += 2) {
+    let xor = parseInt(hashA.slice(i, i + 2), 16) ^ parseInt(hashB.slice(i, i + 2), 16);
+    while (xor) {
+      differentBits += xor & 1;
+      xor >>= 1;
+    }
+  }
+  return 1 - differentBits / (hashA.length * 4);
+}
@@ -0,0 +1,62 @@
+/**
+ * Job Formatting
+ * Short descriptions of check jobs, shared by the popup and the side panel
+ */
+
+const STATUS_LABELS = {
+  [JOB_STATUS.QUEUED]: "Queued",
+  [JOB_STATUS.RUNNING]: "Checking",
+  [JOB_STATUS.COMPLETE]: "Done",
+  [JOB_STATUS.ERROR]: "Failed"
+};
+
+/**
+ * The word shown in a job's status chip: its verdict once it has one
+ */
+function describeStatus(job) {
+  if (job.errorCode === ERROR_CODES.CANCELLED) return "Cancelled";
+  return VERDICT_LABELS[job.verdict] || STATUS_LABELS[job.status] || job.status;
+}
+
+/**
+ * Short human-readable name for a job's image
+ */
+function describeJob(job) {
+  if (job.fileName) return job.fileName;
+  if (job.imageUrl.startsWith('data:') || job.imageUrl.startsWith('blob:')) return "Embedded image";
+
+  try {
+    const url = new URL(job.imageUrl);
+    const name = url.pathname.split('/').pop();
+    return name ? `${url.hostname} · ${name}` : url.hostname;
+  } catch {
+    return job.imageUrl;
+  }
+}
+
+function describePage(pageUrl) {
+  if (!pageUrl) return "";
+  try {
+    const url = new URL(pageUrl);
+    return `${url.hostname}${url.pathname === '/' ? '' : url.pathname}`;
+  } catch {
+    return pageUrl;
+  }
+}
+
+/**
+ * How long each step of a check took, e.g. "ready 1.2s · upload 0.8s · answer 6.4s"
+ */
+function describeTimings(timings) {
+  return Object.entries(timings)
+    .map(([step, ms]) => `${step} ${(ms / 1000).toFixed(1)}s`)
+    .join(' · ');
+}
+
+function formatTimeAgo(timestamp) {
+  const seconds = Math.round((Date.now() - timestamp) / 1000);
+  if (seconds < 60) return "just now";
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return `${Math.floor(seconds / 86400)}d ago`;
+}
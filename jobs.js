@@ -0,0 +1,272 @@
+/**
+ * Check Jobs
+ * FIFO queue and history of image checks kept in chrome.storage.local.
+ * Written by the background service worker, read by the popup.
+ * A job's image bytes are stored under their own key (see jobImageKey), so
+ * the jobs list that's rewritten on every step stays small.
+ */
+
+const JOBS_KEY = "checkJobs";
+const JOB_IMAGE_KEY_PREFIX = "jobImage:";
+const MAX_FINISHED_JOBS = 500;
+const MAX_RERUNNABLE_JOBS = 20; // Finished jobs that keep their image bytes for re-runs
+const MIN_SIMILARITY = 0.85;    // Perceptual hashes this close (~9 of 64 bits differ) are the same picture
+const MAX_RESUMES = 2;          // Page reloads a running check survives before it's failed
+
+const JOB_STATUS = {
+  QUEUED: "queued",     // Waiting for its Gemini tab to claim it
+  RUNNING: "running",   // Claimed by a Gemini tab
+  COMPLETE: "complete",
+  ERROR: "error"
+};
+
+const JOB_SOURCES = {
+  IMAGE: "image",       // Right-clicked <img>
+  VIDEO: "video",       // Frame captured from a right-clicked <video>
+  REGION: "region"      // Rectangle cropped from a tab screenshot
+};
+
+// Serializes read-modify-write cycles so concurrent handlers can't drop jobs
+let jobsLock = Promise.resolve();
+
+function withJobsLock(fn) {
+  const run = jobsLock.then(fn);
+  jobsLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Get all jobs, oldest first
+ */
+async function getJobs() {
+  const result = await chrome.storage.local.get(JOBS_KEY);
+  return result[JOBS_KEY] || [];
+}
+
+async function saveJobs(jobs) {
+  // Keep every active job, but only the most recent finished ones
+  const finished = jobs.filter(job => !isActiveJob(job));
+  const kept = new Set(finished.slice(-MAX_FINISHED_JOBS));
+  const rerunnable = new Set(finished.slice(-MAX_RERUNNABLE_JOBS));
+
+  const saved = jobs
+    .filter(job => isActiveJob(job) || kept.has(job))
+    .map(job => isActiveJob(job) || rerunnable.has(job) ? job : compactJob(job));
+  await chrome.storage.local.set({ [JOBS_KEY]: saved });
+
+  const released = finished.filter(job => job.hasImageData && !rerunnable.has(job));
+  if (released.length > 0) {
+    await chrome.storage.local.remove(released.map(job => jobImageKey(job.id)));
+  }
+}
+
+function jobImageKey(jobId) {
+  return `${JOB_IMAGE_KEY_PREFIX}${jobId}`;
+}
+
+/**
+ * A job's image bytes as a data: URL, or null if it has none stored
+ */
+async function getJobImage(jobId) {
+  const key = jobImageKey(jobId);
+  const result = await chrome.storage.local.get(key);
+  return result[key] || null;
+}
+
+/**
+ * Drop an old finished job's image bytes, keeping just enough to show it in history
+ */
+function compactJob(job) {
+  if (!job.hasImageData && !job.imageUrl.startsWith("data:")) return job;
+
+  const shorten = (url) => url?.startsWith("data:") ? `${url.slice(0, 32)}…` : url;
+  return {
+    ...job,
+    hasImageData: false,
+    imageUrl: shorten(job.imageUrl),
+    sourceElement: job.sourceElement && { ...job.sourceElement, srcUrl: shorten(job.sourceElement.srcUrl) }
+  };
+}
+
+function isActiveJob(job) {
+  return job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING;
+}
+
+/**
+ * Add a job to the end of the queue. Its imageDataUrl is stored apart from it.
+ */
+function enqueueJob({ imageDataUrl = null, ...fields }) {
+  return withJobsLock(async () => {
+    const job = {
+      id: crypto.randomUUID(),
+      status: JOB_STATUS.QUEUED,
+      createdAt: Date.now(),
+      geminiTabId: null,
+      error: null,
+      hasImageData: Boolean(imageDataUrl),
+      ...fields
+    };
+
+    if (imageDataUrl) {
+      await chrome.storage.local.set({ [jobImageKey(job.id)]: imageDataUrl });
+    }
+
+    const jobs = await getJobs();
+    jobs.push(job);
+    await saveJobs(jobs);
+    return job;
+  });
+}
+
+/**
+ * Merge changes into a job. Returns the updated job, or null if it's gone.
+ */
+function updateJob(jobId, changes) {
+  return withJobsLock(async () => {
+    const jobs = await getJobs();
+    const job = jobs.find(j => j.id === jobId);
+    if (!job) return null;
+
+    Object.assign(job, changes);
+    await saveJobs(jobs);
+    return job;
+  });
+}
+
+/**
+ * Assign jobs to the Gemini tab that will run them, in one write
+ */
+function assignJobsToTab(jobIds, tabId) {
+  return withJobsLock(async () => {
+    const jobs = await getJobs();
+    for (const job of jobs) {
+      if (jobIds.includes(job.id)) job.geminiTabId = tabId;
+    }
+    await saveJobs(jobs);
+  });
+}
+
+/**
+ * Claim the job assigned to a Gemini tab and mark it running.
+ * A job still running in the tab was cut off by a page reload, and is
+ * handed back (with its saved state) to be resumed, or failed once it has
+ * resumed MAX_RESUMES times. Only jobs assigned to this tab are claimed, so a
+ * Gemini tab the user opened can't take one meant for the checker tab.
+ * Resolves to { job, failed }: the claimed job and the one given up on, or null.
+ * Needs ERROR_CODES and ERROR_CATALOG from errors.js.
+ */
+function claimJob(tabId) {
+  return withJobsLock(async () => {
+    const jobs = await getJobs();
+    const interrupted = jobs.find(j => j.status === JOB_STATUS.RUNNING && j.geminiTabId === tabId);
+    if (interrupted) {
+      interrupted.resumeCount = (interrupted.resumeCount || 0) + 1;
+      if (interrupted.resumeCount <= MAX_RESUMES) {
+        await saveJobs(jobs);
+        return { job: interrupted, failed: null };
+      }
+      Object.assign(interrupted, {
+        status: JOB_STATUS.ERROR,
+        error: ERROR_CATALOG[ERROR_CODES.GEMINI_RELOADING].message,
+        errorCode: ERROR_CODES.GEMINI_RELOADING,
+        finishedAt: Date.now()
+      });
+    }
+
+    const failed = interrupted || null;
+
+    const job = jobs.find(j => j.status === JOB_STATUS.QUEUED && j.geminiTabId === tabId);
+    if (!job) {
+      if (failed) await saveJobs(jobs);
+      return { job: null, failed };
+    }
+
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = Date.now();
+    await saveJobs(jobs);
+    return { job, failed };
+  });
+}
+
+/**
+ * Find jobs assigned to a Gemini tab with the given status
+ */
+async function getJobsForTab(tabId, status) {
+  const jobs = await getJobs();
+  return jobs.filter(j => j.geminiTabId === tabId && j.status === status);
+}
+
+/**
+ * Find the most recent finished job with a verdict for the same image bytes
+ */
+async function findJobByHash(sha256, excludeJobId) {
+  const jobs = await getJobs();
+  return jobs.filter(j => j.id !== excludeJobId && j.sha256 === sha256 &&
+                          j.status === JOB_STATUS.COMPLETE && j.verdict)
+             .pop() || null;
+}
+
+/**
+ * Search the history for visually near-identical images, most similar first.
+ * Needs hashSimilarity() from imagehash.js.
+ */
+async function findSimilarJobs(phash, excludeJobId, limit = 3) {
+  const jobs = await getJobs();
+  return jobs
+    .filter(j => j.id !== excludeJobId && j.phash && j.status === JOB_STATUS.COMPLETE && j.verdict)
+    .map(job => ({ job, similarity: hashSimilarity(phash, job.phash) }))
+    .filter(match => match.similarity >= MIN_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity || b.job.createdAt - a.job.createdAt)
+    .slice(0, limit);
+}
+
+/**
+ * Mark a job finished
+ */
+function finishJob(jobId, changes) {
+  return updateJob(jobId, { ...changes, finishedAt: Date.now() });
+}
+
+/**
+ * A job can be re-run while it still has its image bytes, or if the image is on the web
+ */
+function canRerunJob(job) {
+  if (job.hasImageData) return true;
+  return job.source === JOB_SOURCES.IMAGE && /^https?:\/\//.test(job.imageUrl);
+}
+
+/**
+ * Remove every finished job and its image. Only the background calls this:
+ * withJobsLock doesn't serialize writes from another page.
+ */
+function clearFinishedJobs() {
+  return withJobsLock(async () => {
+    const jobs = await getJobs();
+    const finished = jobs.filter(job => !isActiveJob(job));
+    await chrome.storage.local.set({ [JOBS_KEY]: jobs.filter(job => isActiveJob(job)) });
+    await chrome.storage.local.remove(finished.filter(job => job.hasImageData).map(job => jobImageKey(job.id)));
+  });
+}
+
+/**
+ * Fail every active job that belongs to a closed Gemini tab with an ERROR_CODES
+ * code. Resolves to the jobs it failed. Needs ERROR_CATALOG from errors.js.
+ */
+function failJobsForTab(tabId, errorCode) {
+  return withJobsLock(async () => {
+    const jobs = await getJobs();
+    const orphaned = jobs.filter(j => j.geminiTabId === tabId && isActiveJob(j));
+    if (orphaned.length === 0) return [];
+
+    for (const job of orphaned) {
+      Object.assign(job, {
+        status: JOB_STATUS.ERROR,
+        error: ERROR_CATALOG[errorCode].message,
+        errorCode,
+        finishedAt: Date.now()
+      });
+    }
+    await saveJobs(jobs);
+    return orphaned;
+  });
+}
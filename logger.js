@@ -0,0 +1,170 @@
+/**
+ * Logger
+ * Leveled logging for the background and Gemini content scripts. Debug lines
+ * only reach the console in verbose mode (Options); without it, web addresses
+ * are shortened to their site. Every line is also kept, grouped by check, in a
+ * ring buffer in chrome.storage.local so the popup can copy recent runs.
+ */
+
+const LOG_PREFIX = "[Is This Image Real?]";
+const LOGS_KEY = "debugLogs";
+const MAX_LOG_RUNS = 20;           // Checks kept in the buffer, plus lines logged outside any check
+const MAX_RUN_ENTRIES = 300;       // Lines kept per run, newest last
+const LOG_FLUSH_DELAY = 500;       // Lines are written to storage in batches (ms)
+
+const LOG_LEVELS = {
+  DEBUG: "debug",
+  INFO: "info",
+  WARN: "warn",
+  ERROR: "error"
+};
+
+// Serializes writes to the buffer, like withJobsLock() in jobs.js
+let logsLock = Promise.resolve();
+
+/**
+ * Create a logger for one part of the extension ("background", "gemini").
+ * persist saves a batch of entries; content scripts pass one that hands them
+ * to the background script, which owns the buffer.
+ */
+function createLogger(source, { persist = appendLogEntries } = {}) {
+  let verbose = false;
+  let runId = null;
+  let pending = [];
+  let flushTimer = null;
+
+  chrome.storage.sync.get({ verboseLogging: false }).then(result => { verbose = result.verboseLogging; });
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "sync" && changes.verboseLogging) {
+      verbose = changes.verboseLogging.newValue;
+    }
+  });
+
+  function flush() {
+    flushTimer = null;
+    const entries = pending;
+    pending = [];
+    try {
+      Promise.resolve(persist(entries)).catch(() => {
+        // Extension reloaded under an open page; nothing left to log to
+      });
+    } catch (e) {
+      // Same, but sendMessage throws instead once the extension context is invalidated
+    }
+  }
+
+  function write(level, args, run = runId) {
+    if (level === LOG_LEVELS.DEBUG && !verbose) return;
+
+    const message = args.map(arg => formatLogArg(arg, verbose)).join(' ');
+    const method = level === LOG_LEVELS.DEBUG ? "log" : level;
+    if (verbose) {
+      console[method](LOG_PREFIX, ...args);
+    } else {
+      console[method](LOG_PREFIX, message);
+    }
+
+    pending.push({ time: Date.now(), level, source, runId: run, message });
+    if (!flushTimer) flushTimer = setTimeout(flush, LOG_FLUSH_DELAY);
+  }
+
+  // run: the check (job id) the lines are about; undefined means the current one (see setRun)
+  function bind(run) {
+    return {
+      debug: (...args) => write(LOG_LEVELS.DEBUG, args, run),
+      info: (...args) => write(LOG_LEVELS.INFO, args, run),
+      warn: (...args) => write(LOG_LEVELS.WARN, args, run),
+      error: (...args) => write(LOG_LEVELS.ERROR, args, run)
+    };
+  }
+
+  return {
+    ...bind(undefined),
+    // Lines logged after this belong to the given check, or to none for null
+    setRun: (id) => { runId = id; },
+    // A logger for lines about one check, for code that handles many at once
+    forRun: (id) => bind(id)
+  };
+}
+
+/**
+ * Turn one console-style argument into text for the buffer
+ */
+function formatLogArg(arg, verbose) {
+  let text;
+  if (typeof arg === "string") {
+    text = arg;
+  } else if (arg instanceof Error) {
+    text = `${arg.name}: ${arg.message}`;
+  } else if (typeof Element !== "undefined" && arg instanceof Element) {
+    text = `<${arg.tagName.toLowerCase()}${arg.id ? `#${arg.id}` : ""}>`;
+  } else {
+    try {
+      text = JSON.stringify(arg) ?? String(arg);
+    } catch (e) {
+      text = String(arg);
+    }
+    if (text.length > 500) text = `${text.slice(0, 500)}…`;
+  }
+  return verbose ? text : redactUrls(text);
+}
+
+/**
+ * Shorten web addresses to their site and drop embedded image data and
+ * local file paths, so a shared log doesn't say which images were checked
+ * (or the name of the user's account)
+ */
+function redactUrls(text) {
+  return text
+    .replace(/\b(https?:\/\/[^\s/"'?#]+)[^\s"']*/g, (url, origin) => url === origin ? url : `${origin}/…`)
+    .replace(/\bdata:([\w/+.-]+)[^\s"']*/g, "data:$1…")
+    .replace(/\bfile:\/\/[^\s"']*/g, "file://…");
+}
+
+/**
+ * Add entries to the buffer, starting a new run for each unseen check and
+ * dropping the runs least recently logged to
+ */
+function appendLogEntries(entries) {
+  const run = logsLock.then(async () => {
+    const runs = await getDebugLog();
+
+    for (const entry of entries) {
+      let logRun = runs.find(r => r.runId === entry.runId);
+      if (!logRun) {
+        logRun = { runId: entry.runId, startedAt: entry.time, entries: [] };
+        runs.push(logRun);
+      }
+      logRun.entries.push(entry);
+      logRun.entries.splice(0, logRun.entries.length - MAX_RUN_ENTRIES);
+      logRun.updatedAt = entry.time;
+    }
+
+    runs.sort((a, b) => a.updatedAt - b.updatedAt);
+    await chrome.storage.local.set({ [LOGS_KEY]: runs.slice(-MAX_LOG_RUNS) });
+  });
+  logsLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Get the buffered runs, least recently logged to first
+ */
+async function getDebugLog() {
+  const result = await chrome.storage.local.get(LOGS_KEY);
+  return result[LOGS_KEY] || [];
+}
+
+/**
+ * The buffer as plain text for a bug report, one block per run
+ */
+function formatDebugLog(runs) {
+  return runs.map(run => {
+    const title = run.runId ? `Check ${run.runId}` : "Outside any check";
+    const lines = run.entries.map(entry => {
+      const time = new Date(entry.time).toISOString().slice(11, 23);
+      return `${time} ${entry.level.toUpperCase().padEnd(5)} [${entry.source}] ${entry.message}`;
+    });
+    return [`=== ${title} (started ${new Date(run.startedAt).toISOString()}) ===`, ...lines].join('\n');
+  }).join('\n\n');
+}
@@ -0,0 +1,106 @@
+/**
+ * Options Page
+ * Edits the settings in chrome.storage.sync (see settings.js)
+ */
+
+// Timing settings are stored in milliseconds but edited in seconds
+const TIMING_FIELDS = {
+  'max-wait-time': 'maxWaitTime',
+  'response-timeout': 'responseTimeout',
+  'response-settle-time': 'responseSettleTime',
+  'poll-interval': 'pollInterval'
+};
+
+getSettings().then(render);
+
+document.getElementById('add-template').addEventListener('click', () => {
+  addTemplateRow('', false);
+});
+
+document.getElementById('save').addEventListener('click', async () => {
+  await saveSettings(readForm());
+  showStatus("Saved");
+});
+
+document.getElementById('reset').addEventListener('click', async () => {
+  await saveSettings(DEFAULT_SETTINGS);
+  render({ ...DEFAULT_SETTINGS });
+  showStatus("Defaults restored");
+});
+
+function render(settings) {
+  document.getElementById('templates').replaceChildren();
+  settings.promptTemplates.forEach((text, index) => {
+    addTemplateRow(text, index === settings.activePromptIndex);
+  });
+
+  document.getElementById('auto-send').checked = settings.autoSend;
+  document.getElementById('tab-mode').value = settings.tabMode;
+  document.getElementById('gemini-placement').value = settings.geminiPlacement;
+  document.getElementById('delay-scale').value = String(settings.delayScale);
+  document.getElementById('verbose-logging').checked = settings.verboseLogging;
+
+  for (const [id, key] of Object.entries(TIMING_FIELDS)) {
+    document.getElementById(id).value = settings[key] / 1000;
+  }
+}
+
+function addTemplateRow(text, active) {
+  const row = document.createElement('div');
+  row.className = 'template';
+
+  const radio = document.createElement('input');
+  radio.type = 'radio';
+  radio.name = 'active-template';
+  radio.checked = active;
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = text;
+  input.placeholder = DEFAULT_PROMPT;
+
+  const remove = document.createElement('button');
+  remove.className = 'btn-remove';
+  remove.textContent = "Remove";
+  remove.addEventListener('click', () => row.remove());
+
+  row.append(radio, input, remove);
+  document.getElementById('templates').append(row);
+}
+
+/**
+ * Collect the form into a settings object, dropping empty templates
+ * and clamping timings to each field's allowed range
+ */
+function readForm() {
+  const rows = Array.from(document.querySelectorAll('.template'))
+    .map(row => ({
+      text: row.querySelector('input[type="text"]').value.trim(),
+      active: row.querySelector('input[type="radio"]').checked
+    }))
+    .filter(row => row.text);
+
+  const changes = {
+    promptTemplates: rows.length > 0 ? rows.map(row => row.text) : [DEFAULT_PROMPT],
+    activePromptIndex: Math.max(rows.findIndex(row => row.active), 0),
+    autoSend: document.getElementById('auto-send').checked,
+    tabMode: document.getElementById('tab-mode').value,
+    geminiPlacement: document.getElementById('gemini-placement').value,
+    delayScale: Number(document.getElementById('delay-scale').value),
+    verboseLogging: document.getElementById('verbose-logging').checked
+  };
+
+  for (const [id, key] of Object.entries(TIMING_FIELDS)) {
+    const input = document.getElementById(id);
+    const seconds = Math.min(Math.max(Number(input.value) || 0, Number(input.min)), Number(input.max));
+    changes[key] = Math.round(seconds * 1000);
+  }
+
+  return changes;
+}
+
+function showStatus(message) {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  setTimeout(() => { status.textContent = ''; }, 2000);
+}
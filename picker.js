@@ -0,0 +1,408 @@
+/**
+ * Image Picker
+ * Injected into a page by "Check images on this page" (see startImagePicker in
+ * background.js), after jobs.js, verdicts.js, errors.js and jobformat.js.
+ * Lists the page's images, leaving out icons and other small ones, and queues
+ * the ones picked; the background script runs them one after another in a
+ * single Gemini tab while the picker shows each one's status in a grid.
+ */
+
+const PICKER_ID = "synthid-image-picker";
+const MIN_PICKER_IMAGE_SIZE = 100; // px on both sides; smaller images are icons, avatars and spacers
+
+const PICKER_STYLES = `
+  :host {
+    all: initial;
+  }
+
+  .backdrop {
+    position: fixed;
+    inset: 0;
+    z-index: 2147483646;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    background: rgba(0, 0, 0, 0.55);
+    font: 14px/1.4 -apple-system, BlinkMacSystemFont, sans-serif;
+  }
+
+  .panel {
+    display: flex;
+    flex-direction: column;
+    width: min(760px, calc(100vw - 48px));
+    max-height: calc(100vh - 48px);
+    background: #1a1a1a;
+    color: #f5f5f5;
+    border-radius: 16px;
+    box-shadow: 0 24px 64px rgba(0, 0, 0, 0.5);
+    overflow: hidden;
+  }
+
+  .header,
+  .footer {
+    display: flex;
+    align-items: center;
+    gap: 12px;
+    padding: 16px 20px;
+  }
+
+  .title {
+    flex: 1;
+    font-size: 16px;
+    font-weight: 700;
+  }
+
+  .subtitle {
+    font-size: 13px;
+    color: #aaa;
+  }
+
+  .grid {
+    display: grid;
+    grid-template-columns: repeat(auto-fill, minmax(150px, 1fr));
+    gap: 10px;
+    padding: 4px 20px 16px;
+    overflow-y: auto;
+  }
+
+  .tile {
+    position: relative;
+    display: flex;
+    flex-direction: column;
+    gap: 6px;
+    padding: 8px;
+    background: #242424;
+    border: 2px solid transparent;
+    border-radius: 10px;
+    cursor: pointer;
+  }
+
+  .tile.selected {
+    border-color: #f59e0b;
+  }
+
+  .tile img {
+    width: 100%;
+    height: 110px;
+    object-fit: contain;
+    background: #2a2a2a;
+    border-radius: 6px;
+  }
+
+  .tile input {
+    position: absolute;
+    top: 14px;
+    left: 14px;
+    margin: 0;
+  }
+
+  .tile-info {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    font-size: 11px;
+    color: #888;
+  }
+
+  .status {
+    margin-left: auto;
+    padding: 2px 6px;
+    border-radius: 6px;
+    background: #2a2a2a;
+    font-size: 10px;
+    font-weight: 700;
+    text-transform: uppercase;
+    letter-spacing: 0.5px;
+  }
+
+  .status.running {
+    color: #f59e0b;
+  }
+
+  .status.detected,
+  .status.partial {
+    color: #f59e0b;
+  }
+
+  .status.not_detected {
+    color: #22c55e;
+  }
+
+  .status.error {
+    color: #ef4444;
+  }
+
+  button {
+    font: inherit;
+    font-weight: 600;
+    border: none;
+    border-radius: 8px;
+    cursor: pointer;
+  }
+
+  .primary {
+    padding: 9px 16px;
+    background: #f59e0b;
+    color: #1a1a1a;
+  }
+
+  .primary:disabled {
+    opacity: 0.4;
+    cursor: default;
+  }
+
+  .secondary {
+    padding: 9px 16px;
+    background: #2a2a2a;
+    color: #f5f5f5;
+  }
+
+  .link {
+    padding: 0;
+    background: none;
+    color: #f59e0b;
+    font-size: 13px;
+  }
+
+  .close {
+    padding: 4px 8px;
+    background: none;
+    color: #aaa;
+    font-size: 20px;
+    line-height: 1;
+  }
+
+  .empty {
+    padding: 24px 20px 32px;
+    color: #aaa;
+  }
+`;
+
+/**
+ * Open the picker, replacing one that's already showing
+ */
+function showImagePicker() {
+  document.getElementById(PICKER_ID)?.remove();
+
+  const images = findPageImages();
+  const host = document.createElement('div');
+  host.id = PICKER_ID;
+  const root = host.attachShadow({ mode: 'open' });
+
+  root.innerHTML = `
+    <style>${PICKER_STYLES}</style>
+    <div class="backdrop">
+      <div class="panel" role="dialog" aria-label="Check images on this page">
+        <div class="header">
+          <div class="title">Check images on this page</div>
+          <button class="link" data-action="select-all">Select all</button>
+          <button class="link" data-action="select-none">Select none</button>
+          <button class="close" data-action="close" title="Close">×</button>
+        </div>
+        <div class="grid"></div>
+        <div class="footer">
+          <div class="subtitle"></div>
+          <span style="flex: 1"></span>
+          <button class="secondary" data-action="close">Cancel</button>
+          <button class="primary" data-action="check"></button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  const grid = root.querySelector('.grid');
+  const subtitle = root.querySelector('.subtitle');
+  const checkButton = root.querySelector('[data-action="check"]');
+
+  if (images.length === 0) {
+    grid.outerHTML = `<p class="empty">No images of at least ${MIN_PICKER_IMAGE_SIZE}×${MIN_PICKER_IMAGE_SIZE} pixels on this page. Scroll to load more, then try again, or use Check a region of this page.</p>`;
+    for (const button of root.querySelectorAll('.link, .primary')) button.hidden = true;
+  } else {
+    grid.append(...images.map(image => createPickerTile(image)));
+  }
+
+  const updateSelection = () => {
+    const count = grid.querySelectorAll('input:checked').length;
+    subtitle.textContent = `${count} of ${images.length} selected`;
+    checkButton.textContent = count === 1 ? "Check 1 image" : `Check ${count} images`;
+    checkButton.disabled = count === 0;
+  };
+
+  const setAll = (checked) => {
+    for (const input of grid.querySelectorAll('input')) {
+      input.checked = checked;
+      input.closest('.tile').classList.toggle('selected', checked);
+    }
+    updateSelection();
+  };
+
+  const close = () => {
+    host.remove();
+    document.removeEventListener('keydown', onKeyDown, true);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      close();
+    }
+  };
+
+  grid.addEventListener('change', (e) => {
+    e.target.closest('.tile').classList.toggle('selected', e.target.checked);
+    updateSelection();
+  });
+
+  root.querySelector('.backdrop').addEventListener('click', (e) => {
+    if (e.target.classList.contains('backdrop')) close();
+  });
+
+  root.addEventListener('click', (e) => {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (action === 'close') close();
+    if (action === 'select-all') setAll(true);
+    if (action === 'select-none') setAll(false);
+    if (action === 'check') startPickedChecks(root);
+  });
+
+  document.addEventListener('keydown', onKeyDown, true);
+  document.documentElement.appendChild(host);
+  if (images.length > 0) updateSelection();
+}
+
+/**
+ * The page's images worth checking, in page order, each address once.
+ * Skips small images, SVGs (icons and logos) and sources that can't be read.
+ */
+function findPageImages() {
+  const seen = new Set();
+  const images = [];
+
+  for (const img of document.images) {
+    const srcUrl = img.currentSrc || img.src;
+    if (!srcUrl || seen.has(srcUrl)) continue;
+    if (!/^(https?:|data:image\/|blob:)/.test(srcUrl)) continue;
+    if (/^data:image\/svg|\.svg(\?|#|$)/i.test(srcUrl)) continue;
+
+    // Lazy images not loaded yet have no natural size, so fall back to their layout size
+    const width = img.naturalWidth || img.width;
+    const height = img.naturalHeight || img.height;
+    if (width < MIN_PICKER_IMAGE_SIZE || height < MIN_PICKER_IMAGE_SIZE) continue;
+
+    seen.add(srcUrl);
+    images.push({ srcUrl, width, height, alt: img.alt });
+  }
+
+  return images;
+}
+
+function createPickerTile(image) {
+  const tile = document.createElement('label');
+  tile.className = 'tile';
+  tile.title = image.alt || image.srcUrl;
+  tile.dataset.srcUrl = image.srcUrl;
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+
+  const thumbnail = document.createElement('img');
+  thumbnail.src = image.srcUrl;
+  thumbnail.alt = image.alt || '';
+
+  const info = document.createElement('div');
+  info.className = 'tile-info';
+  info.textContent = `${image.width}×${image.height}`;
+
+  tile.append(checkbox, thumbnail, info);
+  return tile;
+}
+
+/**
+ * Queue the picked images and turn the picker into their status grid
+ */
+async function startPickedChecks(root) {
+  const tiles = Array.from(root.querySelectorAll('.tile')).filter(tile => tile.querySelector('input').checked);
+  const checkButton = root.querySelector('[data-action="check"]');
+  checkButton.disabled = true;
+  checkButton.textContent = "Queueing…";
+
+  const response = await chrome.runtime.sendMessage({
+    type: "CHECK_BATCH",
+    images: tiles.map(tile => ({ srcUrl: tile.dataset.srcUrl })),
+    pageUrl: window.location.href
+  });
+
+  if (!response?.jobIds) {
+    root.querySelector('.subtitle').textContent = "The checks couldn't be queued. Try again.";
+    checkButton.disabled = false;
+    checkButton.textContent = "Try again";
+    return;
+  }
+
+  for (const tile of root.querySelectorAll('.tile')) {
+    if (!tiles.includes(tile)) tile.remove();
+  }
+  for (const button of root.querySelectorAll('.link, .secondary, .primary')) button.hidden = true;
+  root.querySelector('.title').textContent = "Checking images";
+
+  // Ids line up with the images sent; null for one that couldn't be read
+  const jobIds = response.jobIds;
+  tiles.forEach((tile, i) => {
+    tile.querySelector('input').remove();
+    tile.classList.remove('selected');
+    tile.dataset.jobId = jobIds[i] || '';
+
+    // Queued until the first render() catches up with the stored job
+    const status = document.createElement('span');
+    status.className = jobIds[i] ? `status ${JOB_STATUS.QUEUED}` : 'status error';
+    status.textContent = STATUS_LABELS[jobIds[i] ? JOB_STATUS.QUEUED : JOB_STATUS.ERROR];
+    if (!jobIds[i]) tile.title = "This image couldn't be read from the page";
+    tile.querySelector('.tile-info').append(status);
+
+    tile.addEventListener('click', (e) => {
+      e.preventDefault();
+      if (tile.dataset.conversation) {
+        chrome.runtime.sendMessage({ type: "OPEN_CONVERSATION", jobId: tile.dataset.jobId });
+      }
+    });
+  });
+
+  const render = async () => {
+    const jobs = await getJobs();
+    let finished = 0;
+
+    for (const tile of tiles) {
+      const job = jobs.find(j => j.id === tile.dataset.jobId);
+      if (!job) {
+        finished++;
+        continue;
+      }
+
+      const status = tile.querySelector('.status');
+      status.className = `status ${job.status} ${job.verdict || ''}`;
+      status.textContent = describeStatus(job);
+      tile.title = job.error || (job.conversationUrl ? "Open the Gemini conversation" : describeJob(job));
+      if (job.conversationUrl) tile.dataset.conversation = 'true';
+      if (!isActiveJob(job)) finished++;
+    }
+
+    root.querySelector('.subtitle').textContent = finished === tiles.length
+      ? `All ${tiles.length} checked`
+      : `${finished} of ${tiles.length} checked. Closing this won't stop the checks.`;
+  };
+
+  const onJobsChanged = (changes, areaName) => {
+    if (areaName === "local" && changes[JOBS_KEY]) render();
+  };
+  chrome.storage.onChanged.addListener(onJobsChanged);
+
+  // Stop following the jobs once the grid is closed
+  new MutationObserver((mutations, observer) => {
+    if (!root.host.isConnected) {
+      chrome.storage.onChanged.removeListener(onJobsChanged);
+      observer.disconnect();
+    }
+  }).observe(document.documentElement, { childList: true });
+
+  await render();
+}
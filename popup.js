@@ -0,0 +1,265 @@
+/**
+ * Popup Script
+ * Wires up the popup's action buttons, the recent checks list and the history view
+ */
+
+const MAX_POPUP_JOBS = 5;
+
+// Looked up ahead of time: sidePanel.open() needs the click's user gesture,
+// which an await before it would lose
+let currentWindowId = null;
+chrome.windows.getCurrent().then(currentWindow => { currentWindowId = currentWindow.id; });
+
+// Last diagnostics report, kept for the bug report download
+let diagnosticsReport = null;
+
+document.getElementById('check-page-images').addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: "START_IMAGE_PICKER" });
+  window.close();
+});
+
+document.getElementById('check-region').addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: "START_REGION_CAPTURE" });
+  window.close();
+});
+
+document.getElementById('open-options').addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+document.getElementById('open-side-panel').addEventListener('click', () => {
+  chrome.sidePanel.open({ windowId: currentWindowId }).then(() => window.close());
+});
+
+// View switching
+for (const tab of document.querySelectorAll('.tab')) {
+  tab.addEventListener('click', () => showView(tab.dataset.view));
+}
+document.getElementById('see-history').addEventListener('click', () => showView('view-history'));
+
+document.getElementById('history-search').addEventListener('input', () => renderHistory());
+document.getElementById('history-filter').addEventListener('change', () => renderHistory());
+
+document.getElementById('clear-history').addEventListener('click', () => {
+  if (confirm("Remove all finished checks from history, and the debug log?")) {
+    chrome.runtime.sendMessage({ type: "CLEAR_HISTORY" });
+  }
+});
+
+document.getElementById('run-diagnostics').addEventListener('click', () => runDiagnostics());
+document.getElementById('export-diagnostics').addEventListener('click', () => exportDiagnostics());
+document.getElementById('copy-debug-log').addEventListener('click', () => copyDebugLog());
+
+renderJobs();
+renderHistory();
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes[JOBS_KEY]) {
+    renderJobs();
+    renderHistory();
+  }
+});
+
+function showView(viewId) {
+  for (const view of document.querySelectorAll('#view-main, #view-history, #view-diagnostics')) {
+    view.hidden = view.id !== viewId;
+  }
+  for (const tab of document.querySelectorAll('.tab')) {
+    tab.classList.toggle('active', tab.dataset.view === viewId);
+  }
+}
+
+/**
+ * Render the most recent jobs, newest first
+ */
+async function renderJobs() {
+  const jobs = (await getJobs()).slice(-MAX_POPUP_JOBS).reverse();
+  const list = document.getElementById('jobs-list');
+
+  document.getElementById('jobs-section').hidden = jobs.length === 0;
+  list.replaceChildren(...jobs.map(job => createJobItem(job)));
+}
+
+/**
+ * Render every job matching the search box and filter, newest first
+ */
+async function renderHistory() {
+  const query = document.getElementById('history-search').value.trim().toLowerCase();
+  const filter = document.getElementById('history-filter').value;
+
+  const jobs = (await getJobs()).reverse().filter(job => {
+    if (filter === 'active' && !isActiveJob(job)) return false;
+    if (filter === JOB_STATUS.ERROR && job.status !== JOB_STATUS.ERROR) return false;
+    if (VERDICT_LABELS[filter] && job.verdict !== filter) return false;
+    if (!query) return true;
+
+    return [job.imageUrl, job.pageUrl, job.fileName, job.answerText, job.error]
+      .some(field => field?.toLowerCase().includes(query));
+  });
+
+  document.getElementById('history-empty').hidden = jobs.length > 0;
+  document.getElementById('history-list').replaceChildren(
+    ...jobs.map(job => createJobItem(job, { withActions: true }))
+  );
+}
+
+/**
+ * Build a list row for a job; history rows add the page and Re-run / Open actions
+ */
+function createJobItem(job, { withActions = false } = {}) {
+  const item = document.createElement('li');
+  item.className = withActions ? 'job history-entry' : 'job';
+  item.title = job.error || job.imageUrl;
+
+  const label = document.createElement('span');
+  label.className = 'job-label';
+  label.textContent = describeJob(job);
+
+  const time = document.createElement('span');
+  time.className = 'job-time';
+  time.textContent = formatTimeAgo(job.createdAt);
+
+  const status = document.createElement('span');
+  status.className = `job-status ${job.status} ${job.verdict || ''}`;
+  status.textContent = describeStatus(job);
+
+  item.append(label, time, status);
+
+  if (withActions) {
+    const detail = document.createElement('div');
+    detail.className = 'job-detail';
+
+    const page = document.createElement('span');
+    page.className = 'job-page';
+    page.textContent = job.error || describePage(job.pageUrl);
+    if (job.errorCode) {
+      page.title = ERROR_CATALOG[job.errorCode]?.remedy || '';
+    } else if (job.timings) {
+      page.title = describeTimings(job.timings);
+    }
+
+    const rerun = document.createElement('button');
+    rerun.className = 'job-action';
+    rerun.textContent = "Re-run";
+    rerun.disabled = isActiveJob(job) || !canRerunJob(job);
+    if (!canRerunJob(job)) rerun.title = "The image data for this check is no longer stored";
+    rerun.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: "RERUN_JOB", jobId: job.id });
+    });
+
+    detail.append(page, rerun);
+
+    if (job.conversationUrl) {
+      const open = document.createElement('button');
+      open.className = 'job-action';
+      open.textContent = "Open conversation";
+      open.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ type: "OPEN_CONVERSATION", jobId: job.id });
+      });
+      detail.append(open);
+    }
+
+    item.append(detail);
+  }
+
+  return item;
+}
+
+/**
+ * Probe the Gemini tab (see diagnostics.js) and list each step's result
+ */
+async function runDiagnostics() {
+  const button = document.getElementById('run-diagnostics');
+  const status = document.getElementById('diagnostics-status');
+  const list = document.getElementById('diagnostics-list');
+
+  button.disabled = true;
+  button.textContent = "Running…";
+  status.hidden = true;
+  list.replaceChildren();
+  document.getElementById('export-diagnostics').hidden = true;
+
+  const report = await chrome.runtime.sendMessage({ type: "RUN_DIAGNOSTICS" });
+  button.disabled = false;
+  button.textContent = "Run again";
+
+  if (!report || report.error) {
+    status.textContent = report?.error || "Diagnostics didn't finish. Reload the Gemini tab and try again.";
+    status.hidden = false;
+    return;
+  }
+
+  diagnosticsReport = {
+    extensionVersion: chrome.runtime.getManifest().version,
+    userAgent: navigator.userAgent,
+    ...report
+  };
+  list.replaceChildren(...report.steps.map(step => createDiagnosticItem(step)));
+  document.getElementById('export-diagnostics').hidden = false;
+}
+
+/**
+ * Build a list row for one diagnostics step: its result, what was found and the selectors that matched
+ */
+function createDiagnosticItem(step) {
+  const item = document.createElement('li');
+  item.className = 'job history-entry';
+
+  const label = document.createElement('span');
+  label.className = 'job-label';
+  label.textContent = step.label;
+
+  const result = step.pass === null ? 'skipped' : step.pass ? 'pass' : 'fail';
+  const status = document.createElement('span');
+  status.className = `job-status ${result}`;
+  status.textContent = { pass: "Pass", fail: "Fail", skipped: "Skipped" }[result];
+
+  const detail = document.createElement('div');
+  detail.className = 'job-detail';
+  const found = document.createElement('span');
+  found.className = 'job-page';
+  found.textContent = found.title = step.detail;
+  detail.append(found);
+
+  item.append(label, status, detail);
+
+  const matched = Object.entries(step.matched);
+  if (matched.length > 0) {
+    const selectors = document.createElement('div');
+    selectors.className = 'job-detail';
+    const text = document.createElement('span');
+    text.className = 'job-page';
+    text.textContent = text.title = matched
+      .map(([key, { selector, index }]) => `${key} #${index + 1}: ${selector}`)
+      .join(' · ');
+    selectors.append(text);
+    item.append(selectors);
+  }
+
+  return item;
+}
+
+/**
+ * Save the last diagnostics report as a JSON file to attach to a bug report
+ */
+function exportDiagnostics() {
+  const blob = new Blob([JSON.stringify(diagnosticsReport, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `is-this-image-real-diagnostics-${diagnosticsReport.ranAt.slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Copy the recent runs' log lines (see logger.js) for pasting into an issue
+ */
+async function copyDebugLog() {
+  const button = document.getElementById('copy-debug-log');
+  const runs = await getDebugLog();
+  const header = `Is This Image Real? ${chrome.runtime.getManifest().version} · ${navigator.userAgent}`;
+
+  await navigator.clipboard.writeText(runs.length > 0 ? `${header}\n\n${formatDebugLog(runs)}` : header);
+  button.textContent = runs.length > 0 ? "Copied" : "Log is empty";
+  setTimeout(() => { button.textContent = "Copy debug log"; }, 2000);
+}
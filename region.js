@@ -0,0 +1,117 @@
+/**
+ * Region Picker
+ * Shows a screenshot of the visible tab and crops the dragged rectangle
+ */
+
+const MIN_REGION_SIZE = 16; // Ignore accidental clicks
+
+(async function() {
+  "use strict";
+
+  const capture = await new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: "GET_REGION_CAPTURE" }, resolve);
+  });
+
+  if (!capture) {
+    document.getElementById('region-hint').textContent = "Nothing to select — start a region check from the extension menu.";
+    return;
+  }
+
+  const stage = document.getElementById('region-stage');
+  const screenshot = document.getElementById('region-screenshot');
+  const selection = document.getElementById('region-selection');
+  const checkButton = document.getElementById('region-check');
+
+  screenshot.src = capture.screenshotUrl;
+  await screenshot.decode();
+
+  let start = null;
+  let region = null;
+
+  stage.addEventListener('mousedown', (e) => {
+    start = pointInStage(e);
+    region = null;
+    checkButton.disabled = true;
+    updateSelection({ x: start.x, y: start.y, width: 0, height: 0 });
+  });
+
+  window.addEventListener('mousemove', (e) => {
+    if (!start) return;
+    updateSelection(rectFromPoints(start, pointInStage(e)));
+  });
+
+  window.addEventListener('mouseup', (e) => {
+    if (!start) return;
+    const rect = rectFromPoints(start, pointInStage(e));
+    start = null;
+
+    if (rect.width < MIN_REGION_SIZE || rect.height < MIN_REGION_SIZE) {
+      selection.style.display = 'none';
+      return;
+    }
+
+    region = rect;
+    checkButton.disabled = false;
+  });
+
+  checkButton.addEventListener('click', () => submitRegion());
+  document.getElementById('region-cancel').addEventListener('click', () => window.close());
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') window.close();
+    if (e.key === 'Enter' && region) submitRegion();
+  });
+
+  function pointInStage(e) {
+    const bounds = screenshot.getBoundingClientRect();
+    return {
+      x: Math.min(Math.max(e.clientX - bounds.left, 0), bounds.width),
+      y: Math.min(Math.max(e.clientY - bounds.top, 0), bounds.height)
+    };
+  }
+
+  function updateSelection(rect) {
+    selection.style.display = 'block';
+    selection.style.left = `${rect.x}px`;
+    selection.style.top = `${rect.y}px`;
+    selection.style.width = `${rect.width}px`;
+    selection.style.height = `${rect.height}px`;
+  }
+
+  function submitRegion() {
+    checkButton.disabled = true;
+
+    // The screenshot is shown scaled down; crop at its native resolution
+    const scale = screenshot.naturalWidth / screenshot.clientWidth;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(region.width * scale);
+    canvas.height = Math.round(region.height * scale);
+    canvas.getContext('2d').drawImage(
+      screenshot,
+      Math.round(region.x * scale), Math.round(region.y * scale), canvas.width, canvas.height,
+      0, 0, canvas.width, canvas.height
+    );
+
+    // The background script logs the region's size; this tab closes too soon to flush a log of its own
+    chrome.runtime.sendMessage({
+      type: "CHECK_REGION",
+      dataUrl: canvas.toDataURL('image/png'),
+      width: canvas.width,
+      height: canvas.height,
+      pageUrl: capture.pageUrl,
+      sourceTabId: capture.sourceTabId
+    });
+  }
+})();
+
+/**
+ * Normalize two drag points into a rectangle
+ */
+function rectFromPoints(a, b) {
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(a.x - b.x),
+    height: Math.abs(a.y - b.y)
+  };
+}
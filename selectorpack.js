@@ -0,0 +1,132 @@
+/**
+ * Selector Pack
+ * The CSS selectors used to find Gemini's page elements, kept in
+ * selectors.json so a Gemini redesign can be fixed by editing one file.
+ * Each key lists its selectors in order of preference; the first one that
+ * matches wins, and which one did is logged (through content.js's logger)
+ * whenever it changes.
+ */
+
+const SELECTOR_PACK_FILE = "selectors.json";
+
+// Loaded once per page by loadSelectorPack()
+let selectorPack = null;
+
+// The selector that last matched for each key, so only changes are logged
+const matchedSelectors = {};
+
+// Collects every match while recordMatches() runs
+let matchRecorder = null;
+
+/**
+ * Load selectors.json from the extension
+ */
+async function loadSelectorPack() {
+  if (!selectorPack) {
+    const response = await fetch(chrome.runtime.getURL(SELECTOR_PACK_FILE));
+    selectorPack = await response.json();
+    log.info(`Loaded selector pack v${selectorPack.version} (${selectorPack.updated})`);
+  }
+  return selectorPack;
+}
+
+/**
+ * The ordered selectors for a key
+ */
+function getSelectors(key) {
+  const selectors = selectorPack?.selectors[key];
+  if (!selectors) {
+    throw new Error(`Selector pack has no "${key}" entry`);
+  }
+  return selectors;
+}
+
+/**
+ * All of a key's selectors as one selector list, for querySelectorAll() and closest()
+ */
+function selectorList(key) {
+  return getSelectors(key).join(', ');
+}
+
+/**
+ * Find the first element matched by a key's selectors, trying them in order.
+ * filter can reject matches (hidden, wrong place) so later ones get a chance.
+ * Returns { element, selector, index }, or null if nothing matched.
+ */
+function matchSelector(key, { root = document, filter = () => true } = {}) {
+  const selectors = getSelectors(key);
+  for (const [index, selector] of selectors.entries()) {
+    const element = queryAll(root, selector).find(filter);
+    if (element) {
+      logMatch(key, selector, index);
+      return { element, selector, index };
+    }
+  }
+  return null;
+}
+
+/**
+ * Like matchSelector(), but just the element
+ */
+function findBySelectors(key, options) {
+  return matchSelector(key, options)?.element || null;
+}
+
+/**
+ * Every element matched by the first of a key's selectors that matches any.
+ * For keys whose selectors can match nested copies of the same thing.
+ */
+function findAllBySelectors(key, { root = document } = {}) {
+  for (const [index, selector] of getSelectors(key).entries()) {
+    const elements = queryAll(root, selector);
+    if (elements.length > 0) {
+      logMatch(key, selector, index);
+      return elements;
+    }
+  }
+  return [];
+}
+
+/**
+ * The nearest ancestor (or the element itself) matched by a key's selectors, trying them in order
+ */
+function closestBySelectors(key, element) {
+  for (const [index, selector] of getSelectors(key).entries()) {
+    const match = element.closest(selector);
+    if (match) {
+      logMatch(key, selector, index);
+      return match;
+    }
+  }
+  return null;
+}
+
+/**
+ * Run fn and note which selector matched for each key it looked up.
+ * Resolves with { result, matches }, matches being { key: { selector, index } }.
+ */
+async function recordMatches(fn) {
+  const matches = {};
+  matchRecorder = matches;
+  try {
+    return { result: await fn(), matches };
+  } finally {
+    matchRecorder = null;
+  }
+}
+
+function queryAll(root, selector) {
+  try {
+    return Array.from(root.querySelectorAll(selector));
+  } catch (e) {
+    // Not supported by this browser, e.g. :has() in older versions
+    return [];
+  }
+}
+
+function logMatch(key, selector, index) {
+  if (matchRecorder) matchRecorder[key] = { selector, index };
+  if (matchedSelectors[key] === selector) return;
+  matchedSelectors[key] = selector;
+  log.info(`Selector pack v${selectorPack.version}: "${key}" matched #${index + 1} ${selector}`);
+}
@@ -0,0 +1,67 @@
+/**
+ * Settings
+ * User preferences kept in chrome.storage.sync
+ */
+
+const TAB_MODES = {
+  NEW: "new",       // Open a new Gemini tab for every check
+  REUSE: "reuse"    // Run every check in one Gemini tab
+};
+
+// Where the Gemini tab doing a check goes
+const GEMINI_PLACEMENTS = {
+  FOREGROUND: "foreground",   // Switch to it
+  BACKGROUND: "background",   // Open it behind the current tab
+  MINIMIZED: "minimized"      // Open it in a minimized window
+};
+
+const DEFAULT_PROMPT = "is this image real?";
+
+const DEFAULT_SETTINGS = {
+  // Typed after the @SynthID tool. {pageUrl} and {imageUrl} are filled in per check.
+  promptTemplates: [DEFAULT_PROMPT],
+  activePromptIndex: 0,
+  autoSend: true,
+  tabMode: TAB_MODES.NEW,
+  geminiPlacement: GEMINI_PLACEMENTS.FOREGROUND,
+  maxWaitTime: 30000,         // How long Gemini gets to load
+  pollInterval: 500,          // How often to re-check the page while waiting
+  responseTimeout: 120000,    // How long Gemini gets to answer
+  responseSettleTime: 2000,   // Answer is done once unchanged this long
+  delayScale: 1,              // Multiplies every pause in the automation (2 = twice as slow)
+  verboseLogging: false       // Log every step, with full addresses (see logger.js)
+};
+
+/**
+ * Get all settings, with defaults filled in for anything unset
+ */
+async function getSettings() {
+  return await chrome.storage.sync.get(DEFAULT_SETTINGS);
+}
+
+async function saveSettings(changes) {
+  await chrome.storage.sync.set(changes);
+}
+
+/**
+ * The prompt template currently selected, falling back to the default
+ */
+function getActivePrompt(settings) {
+  return settings.promptTemplates[settings.activePromptIndex] || settings.promptTemplates[0] || DEFAULT_PROMPT;
+}
+
+/**
+ * Fill in a prompt template's placeholders for one check
+ */
+function expandPromptTemplate(template, { pageUrl, imageUrl, source }) {
+  // Only a right-clicked web image has an address worth showing Gemini: region
+  // and video jobs carry the page's address, and a file:// path is the user's own.
+  // "image" is JOB_SOURCES.IMAGE, from jobs.js, which the Gemini tab doesn't load.
+  const hasAddress = source === "image" && /^https?:\/\//.test(imageUrl || "");
+  const isLocalPage = !pageUrl || pageUrl.startsWith("file:");
+
+  return template
+    .replaceAll("{pageUrl}", isLocalPage ? "(unknown page)" : pageUrl)
+    .replaceAll("{imageUrl}", hasAddress ? imageUrl : "(embedded image)")
+    .trim();
+}
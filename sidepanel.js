@@ -0,0 +1,219 @@
+/**
+ * Side Panel Script
+ * Follows the running check step by step from the Gemini tab's progress
+ * messages, and lists recent checks. Stays open next to whatever page the
+ * user is reading, so Gemini can do its work in a background tab.
+ */
+
+const MAX_PANEL_HISTORY = 20;
+
+// The steps worth showing, in the order content.js runs them (CHECK_ORDER)
+const STEP_LABELS = {
+  signIn: "Signed in to Gemini",
+  ready: "Gemini ready",
+  fetch: "Image loaded",
+  lookup: "Earlier verdicts looked up",
+  draft: "Your draft set aside",
+  type: "Question typed",
+  upload: "Image uploaded",
+  send: "Sent to Gemini",
+  answer: "Answer read"
+};
+
+// Latest CHECK_PROGRESS per job; newer than storage, which the background writes a moment later
+const liveProgress = new Map();
+
+// Job picked from the history list, or null to follow the running one
+let selectedJobId = null;
+
+document.getElementById('check-cancel').addEventListener('click', () => cancelShownJob());
+document.getElementById('check-retry').addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: "RERUN_JOB", jobId: shownJobId() });
+});
+document.getElementById('check-open').addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: "OPEN_CONVERSATION", jobId: shownJobId() });
+});
+
+render();
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.type === "CHECK_PROGRESS") {
+    liveProgress.set(message.jobId, { state: message.state, timings: message.timings });
+    // A check that just started takes over from whatever was picked
+    if (selectedJobId !== message.jobId) selectedJobId = null;
+    render();
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes[JOBS_KEY]) {
+    render();
+  }
+});
+
+function shownJobId() {
+  return document.getElementById('check-card').dataset.jobId;
+}
+
+async function render() {
+  const jobs = await getJobs();
+  const job = pickShownJob(jobs);
+
+  renderCheck(job);
+  renderHistory(jobs.slice(-MAX_PANEL_HISTORY).reverse(), job);
+}
+
+/**
+ * The picked job if it's still around, otherwise the running one,
+ * the next one queued or the last one finished
+ */
+function pickShownJob(jobs) {
+  return jobs.find(job => job.id === selectedJobId) ||
+         jobs.findLast(job => job.status === JOB_STATUS.RUNNING) ||
+         jobs.find(job => job.status === JOB_STATUS.QUEUED) ||
+         jobs.at(-1) ||
+         null;
+}
+
+/**
+ * Fill the current check card: image, steps, verdict and actions
+ */
+function renderCheck(job) {
+  const card = document.getElementById('check-card');
+  document.getElementById('check-empty').hidden = Boolean(job);
+  card.hidden = !job;
+  if (!job) return;
+
+  card.dataset.jobId = job.id;
+  document.getElementById('check-heading').textContent = isActiveJob(job) ? "Current check" : "Last check";
+
+  // Loaded once per job rather than on every render, since its bytes can be large
+  const image = document.getElementById('check-image');
+  if (image.dataset.jobId !== job.id) {
+    image.dataset.jobId = job.id;
+    image.hidden = true;
+    getThumbnailUrl(job).then(imageUrl => {
+      if (!imageUrl || image.dataset.jobId !== job.id) return;
+      image.src = imageUrl;
+      image.hidden = false;
+    });
+  }
+
+  document.getElementById('check-name').textContent = describeJob(job);
+  document.getElementById('check-page').textContent = describePage(job.pageUrl);
+
+  const progress = isActiveJob(job) && liveProgress.get(job.id) || job;
+  document.getElementById('check-steps').replaceChildren(
+    ...Object.keys(STEP_LABELS).map(step => createStepItem(step, job, progress))
+  );
+
+  const finished = !isActiveJob(job);
+  const verdict = document.getElementById('check-verdict');
+  verdict.hidden = !finished;
+  if (finished) {
+    const label = document.getElementById('verdict-label');
+    label.className = `verdict-label ${job.verdict || job.status}`;
+    label.textContent = describeStatus(job);
+    document.getElementById('verdict-text').textContent = job.status === JOB_STATUS.ERROR
+      ? [job.error, ERROR_CATALOG[job.errorCode]?.remedy].filter(Boolean).join(' ')
+      : job.answerText || '';
+  }
+
+  document.getElementById('check-cancel').hidden = !(job.status === JOB_STATUS.RUNNING && job.geminiTabId);
+  document.getElementById('check-retry').hidden = !finished || !canRerunJob(job);
+  document.getElementById('check-open').hidden = !job.conversationUrl;
+}
+
+/**
+ * A row for one step: done (with how long it took), current, failed, skipped or still to come
+ */
+function createStepItem(step, job, progress) {
+  const order = Object.keys(STEP_LABELS);
+  const reached = order.indexOf(progress.state);
+  const index = order.indexOf(step);
+  const took = progress.timings?.[step];
+
+  let status;
+  if (job.status === JOB_STATUS.COMPLETE) {
+    status = took !== undefined ? 'done' : 'skipped';
+  } else if (reached === -1 || index > reached) {
+    status = 'pending';
+  } else if (index < reached) {
+    status = took !== undefined ? 'done' : 'skipped';
+  } else {
+    status = job.status === JOB_STATUS.ERROR ? 'failed' : 'current';
+  }
+
+  const item = document.createElement('li');
+  item.className = `step ${status}`;
+
+  const mark = document.createElement('span');
+  mark.className = 'step-mark';
+  mark.textContent = { done: "✓", current: "…", failed: "✕", skipped: "–", pending: "○" }[status];
+
+  const label = document.createElement('span');
+  label.textContent = STEP_LABELS[step];
+
+  item.append(mark, label);
+
+  if (status === 'done') {
+    const time = document.createElement('span');
+    time.className = 'step-time';
+    time.textContent = `${(took / 1000).toFixed(1)}s`;
+    item.append(time);
+  }
+
+  return item;
+}
+
+/**
+ * The image to show for a job, unless only a shortened copy of it is kept (see compactJob)
+ */
+async function getThumbnailUrl(job) {
+  const url = (job.hasImageData && await getJobImage(job.id)) || job.imageUrl;
+  if (!url || url.endsWith('…') || url.startsWith('blob:')) return null;
+  return url;
+}
+
+/**
+ * List recent jobs, newest first; clicking one shows it in the card
+ */
+function renderHistory(jobs, shownJob) {
+  document.getElementById('history-empty').hidden = jobs.length > 0;
+  document.getElementById('history-list').replaceChildren(...jobs.map(job => {
+    const item = document.createElement('li');
+    item.className = job.id === shownJob?.id ? 'job selected' : 'job';
+    item.title = job.error || job.imageUrl;
+
+    const label = document.createElement('span');
+    label.className = 'job-label';
+    label.textContent = describeJob(job);
+
+    const time = document.createElement('span');
+    time.className = 'job-time';
+    time.textContent = formatTimeAgo(job.createdAt);
+
+    const status = document.createElement('span');
+    status.className = `job-status ${job.status} ${job.verdict || ''}`;
+    status.textContent = describeStatus(job);
+
+    item.append(label, time, status);
+    item.addEventListener('click', () => {
+      selectedJobId = job.id;
+      render();
+    });
+    return item;
+  }));
+}
+
+/**
+ * Stop the shown check in its Gemini tab, as the overlay's Cancel button would
+ */
+async function cancelShownJob() {
+  const job = (await getJobs()).find(j => j.id === shownJobId());
+  if (job?.status !== JOB_STATUS.RUNNING || !job.geminiTabId) return;
+
+  chrome.tabs.sendMessage(job.geminiTabId, { type: "CANCEL_CHECK" }).catch(() => {
+    // Tab closed or reloading; the background fails the job on its own
+  });
+}
@@ -0,0 +1,61 @@
+/**
+ * Verdicts
+ * Classifies Gemini's @SynthID answer into a structured result
+ */
+
+const VERDICTS = {
+  DETECTED: "detected",           // SynthID watermark found in the whole image
+  PARTIAL: "partial",             // Found in part of the image (e.g. an edited region)
+  NOT_DETECTED: "not_detected",   // No SynthID watermark found
+  INCONCLUSIVE: "inconclusive"    // Answer didn't say either way
+};
+
+const VERDICT_LABELS = {
+  [VERDICTS.DETECTED]: "SynthID found",
+  [VERDICTS.PARTIAL]: "Partly SynthID",
+  [VERDICTS.NOT_DETECTED]: "No SynthID",
+  [VERDICTS.INCONCLUSIVE]: "Inconclusive"
+};
+
+// Checked in order: hedges first, since "can't tell whether this image has a
+// SynthID watermark" also contains the positive phrasing, then negations, since
+// "no SynthID watermark was detected" does too. Partial needs SynthID found in
+// part of the image; Gemini's standard "all or part of this image was
+// generated" is a plain positive.
+const VERDICT_PATTERNS = [
+  [VERDICTS.INCONCLUSIVE, [
+    /\b(can't|cannot|can not|couldn't|could not|unable to|not able to|not possible to)\b.{0,20}\b(determine|tell|check|say|confirm|verify)\b.{0,20}\b(whether|if)\b/
+  ]],
+  [VERDICTS.NOT_DETECTED, [
+    /\b(no|not|didn't|did not|doesn't|does not|couldn't|could not|unable to|wasn't|was not)\b.{0,40}\b(detect(ed)?|find|found|contains?|have|has|present)\b.{0,40}\bsynthid\b/,
+    /\bsynthid\b.{0,60}\b(was|were|is)? ?(not|wasn't|isn't) (detected|found|present)\b/,
+    /\bno synthid\b/,
+    /\bnot (generated|created|made|edited) (with|by|using) google\b/
+  ]],
+  [VERDICTS.PARTIAL, [
+    /\bpartial(ly)?\b.{0,80}\bsynthid\b/,
+    /(?<!\ball or )\bparts? of (the|this) image\b/,
+    /\bsynthid\b.{0,80}\b(partial(ly)?|(detected|found|present) (only )?in (some|certain) (parts|portions|areas|regions))\b/,
+    /(?<!\ball or )\b(some|certain|parts?|portions?|areas?|regions?|sections?) of (the|this) image\b.{0,40}\b(contains?|carr(y|ies)|has|have|shows?)\b.{0,20}\bsynthid\b/
+  ]],
+  [VERDICTS.DETECTED, [
+    /\bsynthid\b.{0,40}\b(watermark )?(was |is )?(detected|found|present|identified)\b/,
+    /\b(contains?|has|detected|found|identified|carries)\b.{0,20}\bsynthid\b/,
+    /\b(generated|created|made|edited) (with|by|using) google(['’]s)? ai\b/
+  ]]
+];
+
+/**
+ * Classify Gemini's answer text into one of VERDICTS
+ */
+function classifyVerdict(answerText) {
+  const text = (answerText || "").toLowerCase().replace(/\s+/g, " ");
+  if (!text) return VERDICTS.INCONCLUSIVE;
+
+  for (const [verdict, patterns] of VERDICT_PATTERNS) {
+    if (patterns.some(pattern => pattern.test(text))) {
+      return verdict;
+    }
+  }
+  return VERDICTS.INCONCLUSIVE;
+}